@@ -0,0 +1,159 @@
+// web/record-ver2.0/js/adapters/idb-migrations.js
+// Versioned IndexedDB schema steps, run in order inside the upgrade transaction.
+// Opening at version N from version M runs every step with M < version <= N, so a
+// database from any older release ends up in the same shape as a fresh one.
+//
+// A step is { version, name, up({ db, tx, oldVersion }) }. up may return a promise;
+// it must only wait on requests of `tx` (see request/eachRow below), anything else
+// lets the transaction commit half-way. A throw or rejection aborts the upgrade and
+// the database stays at its old version.
+// To change the schema, append a step with the next version; never edit shipped ones.
+
+export const MIGRATIONS = [
+  {
+    // Versions 1–6 predate this list; whatever they left, make sure the base stores exist
+    version: 6,
+    name: 'base stores',
+    up({ db }) {
+      if (!db.objectStoreNames.contains('recordings')) {
+        const recs = db.createObjectStore('recordings', { keyPath: 'id' });
+        recs.createIndex('by_createdAt', 'createdAt', { unique: false });
+        recs.createIndex('by_status', 'status', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('chunks')) {
+        chunkIndexes(db.createObjectStore('chunks', { keyPath: ['recordingId','index'] }));
+      }
+      if (!db.objectStoreNames.contains('manifests')) {
+        db.createObjectStore('manifests', { keyPath: 'recordingId' });
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'peaks store',
+    up({ db }) {
+      if (!db.objectStoreNames.contains('peaks')) {
+        db.createObjectStore('peaks', { keyPath: ['recordingId','index'] });
+      }
+    }
+  },
+  {
+    // Chunk/peak keys gain a track index; existing rows become track 0
+    version: 8,
+    name: 'track in chunk and peak keys',
+    async up({ db, tx }) {
+      await addTrackToKey(db, tx, 'chunks', chunkIndexes);
+      await addTrackToKey(db, tx, 'peaks');
+    }
+  },
+  {
+    // Chunks written without timing get it from their neighbours and the manifest:
+    // PCM from the byte size, MediaRecorder from the timeslice
+    version: 9,
+    name: 'backfill chunk timing',
+    async up({ tx }) {
+      const manifests = new Map(((await request(tx.objectStore('manifests').getAll())) || []).map(m => [m.recordingId, m]));
+      let prev = null; // rows come in key order: recordingId, track, index
+      await eachRow(tx.objectStore('chunks'), (cursor) => {
+        const r = cursor.value;
+        const sameRun = prev && prev.recordingId === r.recordingId && prev.track === r.track;
+        if (!Number.isFinite(r.startMs) || !Number.isFinite(r.endMs)) {
+          if (!Number.isFinite(r.startMs)) r.startMs = sameRun ? prev.endMs : 0;
+          if (!Number.isFinite(r.endMs)) r.endMs = r.startMs + chunkMs(r, manifests.get(r.recordingId));
+          cursor.update(r);
+        }
+        prev = r;
+      });
+    }
+  },
+  {
+    // Seeking by time (getChunksInRange) without loading the track's other chunks
+    version: 10,
+    name: 'chunk time index',
+    up({ tx }) {
+      const chunks = tx.objectStore('chunks');
+      if (!chunks.indexNames.contains('by_time')) chunks.createIndex('by_time', ['recordingId','track','startMs'], { unique: false });
+    }
+  },
+  {
+    // Searching recordings (queryRecordings): by tag, and the date/status indexes the
+    // base step only created along with a new store
+    version: 11,
+    name: 'recording metadata indexes',
+    up({ tx }) {
+      const recs = tx.objectStore('recordings');
+      if (!recs.indexNames.contains('by_createdAt')) recs.createIndex('by_createdAt', 'createdAt', { unique: false });
+      if (!recs.indexNames.contains('by_status')) recs.createIndex('by_status', 'status', { unique: false });
+      if (!recs.indexNames.contains('by_tag')) recs.createIndex('by_tag', 'tags', { unique: false, multiEntry: true });
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs the steps between oldVersion and newVersion; resolves with the names applied
+export async function migrate({ db, tx, oldVersion = 0, newVersion = SCHEMA_VERSION, migrations = MIGRATIONS }) {
+  const steps = migrations
+    .filter(m => m.version > oldVersion && m.version <= newVersion)
+    .sort((a,b) => a.version - b.version);
+  const applied = [];
+  for (const step of steps) {
+    try {
+      await step.up({ db, tx, oldVersion });
+    } catch (e) {
+      throw new Error(`IndexedDB migration ${step.version} (${step.name}) failed: ${e?.message || e}`, { cause: e });
+    }
+    applied.push(`${step.version} ${step.name}`);
+  }
+  return applied;
+}
+
+/* ---------------- helpers ---------------- */
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// fn(cursor) for every row of a store or index; fn may cursor.update()/delete(),
+// returning false stops the walk
+export function eachRow(source, fn, query, direction) {
+  return new Promise((resolve, reject) => {
+    const req = source.openCursor(query, direction);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      let more;
+      try { more = fn(cursor); } catch (e) { reject(e); return; }
+      if (more === false) return resolve();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function chunkIndexes(store) {
+  if (!store.indexNames.contains('by_recording')) store.createIndex('by_recording', 'recordingId', { unique: false });
+}
+
+// A keyPath can't change in place: rows move one at a time (a cursor, so a large
+// store is never held in memory) into a new store, which then takes the old name
+async function addTrackToKey(db, tx, name, setup) {
+  const store = db.createObjectStore(`${name}-v8`, { keyPath: ['recordingId','track','index'] });
+  setup?.(store);
+  await eachRow(tx.objectStore(name), (cursor) => {
+    store.put({ ...cursor.value, track: cursor.value.track ?? 0 });
+    cursor.delete();
+  });
+  db.deleteObjectStore(name);
+  store.name = name;
+}
+
+function chunkMs(row, manifest) {
+  if (manifest?.format?.startsWith('pcm') && manifest.sampleRate) {
+    const frames = (row.size || 0) / (Float32Array.BYTES_PER_ELEMENT * (manifest.channels || 1));
+    return frames / manifest.sampleRate * 1000;
+  }
+  return (Number(manifest?.chunkSeconds) || 0) * 1000;
+}
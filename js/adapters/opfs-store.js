@@ -0,0 +1,328 @@
+// web/record-ver2.0/js/adapters/opfs-store.js
+// The file side of the OPFS adapter (storage-opfs.js). Runs inside opfs.worker.js,
+// because sync access handles only exist in dedicated workers; takes the root
+// directory handle, so tests can hand it any directory with the same API.
+// Audio travels as ArrayBuffers here; the adapter turns them back into Blobs.
+//
+// Layout, one directory per recording:
+//   <recordingId>/meta.json      { recording, manifest }, rewritten on change (small)
+//   <recordingId>/<track>.bin    the track's audio, chunks appended back to back
+//   <recordingId>/<track>.idx    one JSON line per chunk:
+//                                { index, offset, length, size, type, startMs, endMs, sha256?, peaks? }
+//                                or { index, deleted: true } once a repair truncated it
+// A chunk put again under the same index is appended as well; its last line wins.
+// An append cut short (crash, pagehide) leaves a partial last line; opening the track
+// drops it and truncates the index back to the last good line.
+// Truncated chunks keep their bytes in <track>.bin; deleting the recording frees them.
+// Sync handles (and their locks) are held only while a track is written: a recording
+// that is finalized (status other than 'recording') or deleted has them closed, and
+// its reads go through getFile(), so other tabs and the main thread can open it.
+// Calls run one at a time, in order, so appends never interleave.
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+const MAX_OPEN_TRACKS = 8; // sync handles hold a lock each; older ones are closed and reopened on demand
+
+export function createOpfsStore(root) {
+  const entries = new Map(); // recordingId -> { dir, meta: { recording, manifest }, tracks: Map(track -> state), indexes: Map(track -> chunks) }
+  const openTracks = [];     // [entry, track] in open order
+  let listed = false;        // every recording directory has been loaded
+  let queue = Promise.resolve();
+  const clone = (v) => v == null ? null : structuredClone(v);
+
+  /* -------- directories and files -------- */
+  const dirName = (id) => encodeURIComponent(id);
+
+  async function child(get, parent, name, create) {
+    try { return await parent[get](name, { create }); }
+    catch (e) { if (e?.name === 'NotFoundError') return null; throw e; }
+  }
+
+  async function readFile(dir, name) {
+    const file = await child('getFileHandle', dir, name, false);
+    if (!file) return null;
+    return new Uint8Array(await (await file.getFile()).arrayBuffer());
+  }
+
+  async function writeFile(dir, name, bytes) {
+    const h = await (await dir.getFileHandle(name, { create: true })).createSyncAccessHandle();
+    try {
+      writeAt(h, bytes, 0);
+      h.truncate(bytes.byteLength);
+      h.flush();
+    } finally { h.close(); }
+  }
+
+  /* -------- recordings -------- */
+  async function load(id, create = false) {
+    if (entries.has(id)) return entries.get(id);
+    if (listed && !create) return null;
+    const dir = await child('getDirectoryHandle', root, dirName(id), create);
+    if (!dir) return null;
+    const text = await readFile(dir, 'meta.json');
+    const meta = text ? JSON.parse(dec.decode(text)) : {};
+    const entry = { dir, meta: { recording: meta.recording || null, manifest: meta.manifest || null }, tracks: new Map(), indexes: new Map() };
+    entries.set(id, entry);
+    return entry;
+  }
+
+  const saveMeta = (entry) => writeFile(entry.dir, 'meta.json', enc.encode(JSON.stringify(entry.meta)));
+
+  async function putRecording(rec) {
+    const entry = await load(rec.id, true);
+    entry.meta.recording = clone(rec);
+    await saveMeta(entry);
+  }
+  async function getRecording(id) {
+    return clone((await load(id))?.meta.recording);
+  }
+  async function listRecordings() {
+    if (!listed) {
+      for await (const [name, handle] of root.entries()) {
+        if (handle.kind === 'directory') await load(decodeURIComponent(name));
+      }
+      listed = true;
+    }
+    return Array.from(entries.values())
+      .map(e => clone(e.meta.recording))
+      .filter(Boolean)
+      .sort((a,b)=>(b?.createdAt||0)-(a?.createdAt||0));
+  }
+  // setDuration / markStatus / touchRecording; no-op for an unknown id
+  async function updateRecording(id, fields) {
+    const entry = await load(id);
+    if (!entry?.meta.recording) return;
+    Object.assign(entry.meta.recording, fields, { updatedAt: Date.now() });
+    await saveMeta(entry);
+    if (finished(entry)) closeEntry(entry);
+  }
+  const finished = (entry) => !!entry.meta.recording && entry.meta.recording.status !== 'recording';
+
+  /* -------- manifests -------- */
+  async function setManifest(id, manifest) {
+    const entry = await load(id, true);
+    entry.meta.manifest = clone({ recordingId: id, ...manifest });
+    await saveMeta(entry);
+  }
+  async function getManifest(id) {
+    return clone((await load(id))?.meta.manifest);
+  }
+
+  /* -------- chunks -------- */
+  async function trackOf(entry, track, create) {
+    if (entry.tracks.has(track)) return entry.tracks.get(track);
+    const bin = await child('getFileHandle', entry.dir, `${track}.bin`, create);
+    if (!bin) return null;
+    const data = await bin.createSyncAccessHandle();
+    const log = await (await entry.dir.getFileHandle(`${track}.idx`, { create: true })).createSyncAccessHandle();
+    const dataSize = data.getSize();
+    const { chunks, logSize } = readIndex(log, dataSize);
+    const state = { data, log, chunks, dataSize, logSize };
+    entry.tracks.set(track, state);
+    entry.indexes.delete(track);
+    openTracks.push([entry, track]);
+    while (openTracks.length > MAX_OPEN_TRACKS) {
+      const [e, t] = openTracks.shift();
+      closeTrack(e, t);
+    }
+    return state;
+  }
+
+  // the index stays in memory for reads through getFile()
+  function closeTrack(entry, track) {
+    const t = entry.tracks.get(track);
+    if (!t) return;
+    try { t.data.close(); } catch {}
+    try { t.log.close(); } catch {}
+    entry.tracks.delete(track);
+    entry.indexes.set(track, t.chunks);
+    const i = openTracks.findIndex(([e, n]) => e === entry && n === track);
+    if (i >= 0) openTracks.splice(i, 1);
+  }
+  function closeEntry(entry) {
+    for (const track of Array.from(entry.tracks.keys())) closeTrack(entry, track);
+  }
+
+  // Chunks of a track and how to read their bytes: the open handles while it is being
+  // written, otherwise a File snapshot, which takes no lock
+  async function readerOf(entry, track) {
+    const open = entry.tracks.get(track);
+    if (open) {
+      return {
+        chunks: open.chunks,
+        read(c) {
+          const bytes = new Uint8Array(c.length);
+          open.data.read(bytes, { at: c.offset });
+          return bytes.buffer;
+        }
+      };
+    }
+    const bin = await child('getFileHandle', entry.dir, `${track}.bin`, false);
+    if (!bin) return null;
+    const file = await bin.getFile();
+    let chunks = entry.indexes.get(track);
+    if (!chunks) {
+      const idx = await child('getFileHandle', entry.dir, `${track}.idx`, false);
+      const bytes = idx ? new Uint8Array(await (await idx.getFile()).arrayBuffer()) : new Uint8Array(0);
+      chunks = parseIndex(bytes, file.size).chunks; // a cut-short line is truncated on the next write
+      entry.indexes.set(track, chunks);
+    }
+    return { chunks, read: (c) => file.slice(c.offset, c.offset + c.length).arrayBuffer() };
+  }
+
+  // bytes: ArrayBuffer of the chunk; size is stored as given (the recorder's count)
+  async function putChunk({ recordingId, track = 0, index, bytes, type = '', size, startMs, endMs, sha256 = null, peaks = null }) {
+    const entry = await load(recordingId, true);
+    const t = await trackOf(entry, track, true);
+    const data = new Uint8Array(bytes);
+    const c = {
+      index, offset: t.dataSize, length: data.byteLength, size, type, startMs, endMs,
+      ...(sha256 ? { sha256 } : {}), ...(peaks ? { peaks: plainPeaks(peaks) } : {})
+    };
+    writeAt(t.data, data, t.dataSize);
+    t.dataSize += data.byteLength;
+    t.data.flush();
+    appendLine(t, c);
+    t.chunks.set(index, c);
+    if (finished(entry)) closeTrack(entry, track); // a repair
+  }
+
+  function appendLine(t, row) {
+    const line = enc.encode(JSON.stringify(row) + '\n');
+    writeAt(t.log, line, t.logSize);
+    t.logSize += line.byteLength;
+    t.log.flush();
+  }
+
+  // One track's chunks by index, optionally after `afterIndex`, at most `limit`,
+  // or only those overlapping [startMs, endMs)
+  async function readChunks(id, { track = 0, afterIndex = null, limit = Infinity, startMs = null, endMs = Infinity } = {}) {
+    const entry = await load(id);
+    const r = entry && await readerOf(entry, track);
+    if (!r) return [];
+    const rows = sortedChunks(r)
+      .filter(c => afterIndex === null || c.index > afterIndex)
+      .filter(c => startMs === null || (c.startMs < endMs && c.endMs > startMs))
+      .slice(0, limit);
+    return Promise.all(rows.map(async c => (
+      { index: c.index, track, size: c.size, type: c.type, startMs: c.startMs, endMs: c.endMs, sha256: c.sha256, bytes: await r.read(c) }
+    )));
+  }
+
+  async function countChunks(id, { track = 0 } = {}) {
+    const entry = await load(id);
+    const r = entry && await readerOf(entry, track);
+    return r ? r.chunks.size : 0;
+  }
+
+  // Peak rows for mergePeaks(), by index
+  async function getPeaks(id, { track = 0 } = {}) {
+    const entry = await load(id);
+    const r = entry && await readerOf(entry, track);
+    if (!r) return [];
+    return sortedChunks(r).filter(c => c.peaks)
+      .map(c => ({ recordingId: id, track, index: c.index, startMs: c.startMs, endMs: c.endMs, ...c.peaks }));
+  }
+
+  /* -------- deletion -------- */
+  async function deleteRecording(id) {
+    const entry = await load(id);
+    if (!entry) return;
+    closeEntry(entry);
+    entries.delete(id);
+    await root.removeEntry(dirName(id), { recursive: true });
+  }
+  async function deleteChunks(id, { track = 0, fromIndex = 0 } = {}) {
+    const entry = await load(id);
+    const t = entry && await trackOf(entry, track, false);
+    if (!t) return;
+    for (const c of sortedChunks(t)) {
+      if (c.index < fromIndex) continue;
+      appendLine(t, { index: c.index, deleted: true });
+      t.chunks.delete(c.index);
+    }
+    if (finished(entry)) closeTrack(entry, track);
+  }
+  async function deleteAll() {
+    for (const entry of entries.values()) closeEntry(entry);
+    entries.clear();
+    const names = [];
+    for await (const [name] of root.entries()) names.push(name);
+    for (const name of names) await root.removeEntry(name, { recursive: true });
+    listed = true;
+  }
+
+  // releases every sync handle (their locks); later calls reopen what they need
+  async function close() {
+    for (const entry of entries.values()) closeEntry(entry);
+  }
+
+  const calls = {
+    putRecording, getRecording, listRecordings, updateRecording,
+    setManifest, getManifest,
+    putChunk, readChunks, countChunks, getPeaks,
+    deleteRecording, deleteChunks, deleteAll, close
+  };
+  // one call at a time, in arrival order
+  const store = {};
+  for (const [name, fn] of Object.entries(calls)) {
+    store[name] = (...args) => {
+      const run = queue.then(() => fn(...args));
+      queue = run.catch(() => {});
+      return run;
+    };
+  }
+  return store;
+}
+
+/* ---------------- helpers ---------------- */
+function readAll(h) {
+  const out = new Uint8Array(h.getSize());
+  h.read(out, { at: 0 });
+  return out;
+}
+
+// a short write means the disk (quota) is full
+function writeAt(h, bytes, at) {
+  const n = h.write(bytes, { at });
+  if (n !== bytes.byteLength) throw new DOMException('Storage quota exceeded', 'QuotaExceededError');
+}
+
+// The index of a track opened for writing; whatever follows the last good line is
+// truncated away so the next append starts on a fresh line
+function readIndex(log, dataSize) {
+  const bytes = readAll(log);
+  const { chunks, good } = parseIndex(bytes, dataSize);
+  if (good < bytes.length) {
+    log.truncate(good);
+    log.flush();
+  }
+  return { chunks, logSize: good };
+}
+
+// Index lines → chunks by index, and where the last line that parsed ends. A line cut
+// short (with or without its newline) ends the index; a bad line in the middle is
+// skipped. Entries pointing past the end of the data file are dropped too.
+function parseIndex(bytes, dataSize) {
+  const chunks = new Map();
+  let good = 0; // end of the last good line
+  for (let at = 0; at < bytes.length;) {
+    const nl = bytes.indexOf(10, at);
+    if (nl < 0) break; // no newline: the last append was cut short
+    const line = dec.decode(bytes.subarray(at, nl));
+    at = nl + 1;
+    let c = null;
+    try { c = line ? JSON.parse(line) : null; } catch { console.warn('[opfs] skipping a damaged index line'); }
+    if (line && !c) continue;
+    good = at;
+    if (!c) continue;
+    if (c.deleted) chunks.delete(c.index);
+    else if (c.offset + c.length <= dataSize) chunks.set(c.index, c);
+  }
+  return { chunks, good };
+}
+
+const sortedChunks = (t) => Array.from(t.chunks.values()).sort((a,b)=>a.index-b.index);
+
+// typed arrays → plain arrays for the JSON index
+const plainPeaks = (p) => Object.fromEntries(Object.entries(p).map(([k, v]) => [k, ArrayBuffer.isView(v) ? Array.from(v) : v]));
@@ -0,0 +1,31 @@
+// web/record-ver2.0/js/adapters/opfs.worker.js
+// Dedicated worker behind storage-opfs.js: owns the OPFS sync access handles and
+// answers { id, op, args } with { id, result } or { id, error: { name, message } }.
+// The first message is { op: 'init', args: [dirName] }; it fails where OPFS or sync
+// access handles are missing, so the page can fall back to IndexedDB.
+import { createOpfsStore } from './opfs-store.js';
+
+let store = null;
+
+async function init(dirName) {
+  if (!navigator.storage?.getDirectory) throw new Error('OPFS not supported');
+  const root = await (await navigator.storage.getDirectory()).getDirectoryHandle(dirName, { create: true });
+  // probe: sync access handles are the reason this runs in a worker
+  const probe = await root.getFileHandle('.probe', { create: true });
+  if (typeof probe.createSyncAccessHandle !== 'function') throw new Error('OPFS sync access handles not supported');
+  (await probe.createSyncAccessHandle()).close();
+  await root.removeEntry('.probe');
+  store = createOpfsStore(root);
+  return true;
+}
+
+self.onmessage = async ({ data: { id, op, args = [] } }) => {
+  try {
+    const result = op === 'init' ? await init(...args) : await store[op](...args);
+    // chunk bytes move rather than copy
+    const transfer = Array.isArray(result) ? result.map(r => r?.bytes).filter(b => b instanceof ArrayBuffer) : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (e) {
+    self.postMessage({ id, error: { name: e?.name || 'Error', message: e?.message || String(e) } });
+  }
+};
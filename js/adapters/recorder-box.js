@@ -1,10 +1,36 @@
 // Minimal recorder "box": handles mic capture, chunked MediaRecorder,
 // local metering, and writing chunks to storage. Emits events via .on()
+// Encoded-format engine behind createRecorderBox() in ../recorder-box.js.
+// MediaRecorder records a MediaStreamAudioDestinationNode rather than the mic stream,
+// so the input device can be swapped mid-session without restarting the encoder.
+// Events: 'status' {status}, 'meter' {rms,peak}, 'chunk' {size,index}, 'stats' {durationMs,chunkCount,bytes},
+//         'error' {code,message,deviceId}, 'marker' {id,label,atMs,at,data}, 'source' {source,state},
+//         'limit' {limit,recordingId}, 'quota' {level,available,usage,quota,recordingId}
+// `sources` mixes tab/system audio with (or instead of) the mic, see ../sources.js.
+// Limits (../limits.js): duration is checked on the stats tick, bytes as chunks land,
+// so an encoded session can run up to one tick / one chunk past them.
+// Same state machine (../state.js) and typed errors (../errors.js) as the PCM engine.
+// Chunks are stored with their SHA-256 and chained in manifest.integrity (../integrity.js).
 
-export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType = 'audio/webm;codecs=opus' } = {}) {
+import { holdSessionLock, markRecovered } from '../recovery.js';
+import { listInputDevices, openInputStream, describeInput, watchInput, watchContext } from '../devices.js';
+import { normalizeSources, activeSources, openDisplayStream, watchDisplay, createSourceMixer } from '../sources.js';
+import { normalizeLimits, hasLimits, reachedLimit, remaining, scheduleAt } from '../limits.js';
+import { createQuotaGuard, QUOTA_WARN_BYTES, QUOTA_STOP_BYTES } from '../storage-health.js';
+import { createStateMachine } from '../state.js';
+import { sha256Hex, createHashChain } from '../integrity.js';
+import { RecorderError, InvalidStateError, NotSupportedError, StorageError, InputError, fromMediaError } from '../errors.js';
+
+export async function createMediaRecorderBox({
+  storage, chunkSeconds = 2, mimeType = 'audio/webm;codecs=opus', channels = 1, deviceId = null, sources = null,
+  maxDurationMs = null, maxBytes = null, stopAt = null,
+  quotaWarnBytes = QUOTA_WARN_BYTES, quotaStopBytes = QUOTA_STOP_BYTES
+} = {}) {
   if (!navigator.mediaDevices?.getUserMedia) {
-    throw new Error('getUserMedia not supported in this browser.');
+    throw new NotSupportedError('getUserMedia not supported in this browser.');
   }
+  const sourceCfg = normalizeSources(sources);
+  const limitCfg = normalizeLimits({ maxDurationMs, maxBytes, stopAt });
 
   // pick a supported mime
   const pickMime = (() => {
@@ -23,12 +49,20 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
   const off = (ev, fn) => { listeners.get(ev)?.delete(fn); };
 
   let mediaStream = null;
+  let displayStream = null;
   let mediaRecorder = null;
   let audioCtx = null;
+  let srcNode = null;
+  let mixer = null;
+  let destNode = null;
   let analyser = null;
   let meterRAF = 0;
+  let unwatchInput = () => {};
+  let unwatchDisplay = () => {};
+  let unwatchContext = () => {};
 
-  let status = 'idle';
+  const fsm = createStateMachine((s) => emit('status', s));
+  let status = fsm.state; // mirrors fsm.state
   let currentId = null;
   let chunkIndex = 0;
   let startTs = 0;
@@ -36,38 +70,91 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
   let pauseTs = 0;
   let stats = { durationMs: 0, chunkCount: 0, bytes: 0 };
   let statsTimer = 0;
+  let lastEndMs = 0;                  // chunk timing is wall-clock, minus pauses
+  let writeChain = Promise.resolve(); // serializes chunk writes
+  let hashChain = null;               // this session's manifest.integrity
+  let stopped = null;                 // resolves when onstop has finalized
+  let resolveStopped = () => {};
+  let releaseSessionLock = () => {};
+  let manifest = null;
+  let segments = [];                  // same shape as the PCM engine, minus frame offsets
+  let events = [];                    // device changes / interruptions
+  let markers = [];
+  let resumeTo = 'recording';         // status to return to once an interrupted input is replaced
+  let interruptedBy = null;           // error code of the interruption in progress
+  let stopInfo = null;                // { reason, limit } of the stop in progress
+  let cancelStopAt = () => {};
+  const quotaGuard = createQuotaGuard({
+    warnBytes: quotaWarnBytes,
+    stopBytes: quotaStopBytes,
+    onWarn: (h) => emit('quota', { level: 'warn', ...h, recordingId: currentId }),
+    onStop: (h) => { emit('quota', { level: 'stop', ...h, recordingId: currentId }); endSession('limit', 'storage-low'); }
+  });
 
-  function setStatus(s) {
-    status = s;
-    emit('status', { status: s });
-  }
+  function setStatus(s, reason) { status = fsm.to(s, reason); }
 
   async function start() {
-    if (status === 'recording' || status === 'paused') return;
-
-    const ms = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        channelCount: { ideal: 1 },
-        sampleRate: { ideal: 48000 },
-        echoCancellation: false,
-        noiseSuppression: false,
-        autoGainControl: false
-      }
-    });
+    fsm.assert('start');
+    if (limitCfg.stopAt && limitCfg.stopAt <= Date.now()) {
+      throw new RecorderError('stop-time-passed', 'The stop time has already passed');
+    }
+    setStatus('requesting');
+    try {
+      await openSession();
+    } catch (e) {
+      // once there is a recording id, the device side worked and storage did not
+      const error = e instanceof RecorderError ? e
+        : currentId ? new StorageError(e, { recordingId: currentId })
+        : fromMediaError(e);
+      currentId = null;
+      closeSession();
+      setStatus(error instanceof StorageError ? 'error' : 'idle', error?.code);
+      throw error;
+    }
+  }
+
+  async function openSession() {
+    // the share picker first: it needs the click's user activation
+    if (sourceCfg.display) displayStream = await openDisplayStream();
+    let ms = null;
+    try {
+      if (sourceCfg.mic) ms = await openInputStream({ deviceId, channels: sourceCfg.separate ? 1 : channels });
+    } catch (e) {
+      displayStream?.getTracks().forEach(t => t.stop());
+      displayStream = null;
+      throw e;
+    }
     mediaStream = ms;
+    const input = describeInput(ms || displayStream);
 
-    // Metering
+    // Sources → per-source gain → mixer
     audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    const srcNode = audioCtx.createMediaStreamSource(ms);
+    unwatchContext = watchContext(audioCtx, (state) => onContextState(state).catch(console.error));
+    mixer = createSourceMixer(audioCtx, sourceCfg);
+    if (ms) { srcNode = audioCtx.createMediaStreamSource(ms); mixer.attach('mic', srcNode); }
+    if (displayStream) mixer.attach('display', audioCtx.createMediaStreamSource(displayStream));
+
+    // Metering
     analyser = audioCtx.createAnalyser();
     analyser.fftSize = 2048;
-    srcNode.connect(analyser);
+    mixer.output.connect(analyser);
+
+    // Recording tap
+    destNode = audioCtx.createMediaStreamDestination();
+    destNode.channelCount = sourceCfg.separate
+      ? mixer.names.length
+      : Math.min(2, input.channelCount || Math.max(1, Number(channels) || 1));
+    mixer.output.connect(destNode);
 
     // Create recording entry
     currentId = cryptoRandomId();
     chunkIndex = 0;
     pausedAccum = 0;
+    pauseTs = 0;
+    lastEndMs = 0;
+    writeChain = Promise.resolve();
     stats = { durationMs: 0, chunkCount: 0, bytes: 0 };
+    hashChain = createHashChain();
     startTs = Date.now();
 
     await storage.putRecording({
@@ -79,42 +166,83 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
       durationMs: 0
     });
 
-    await storage.setManifest(currentId, {
+    manifest = {
       recordingId: currentId,
-      chunkSeconds,
-      codec: pickMime || 'browser-default'
-    });
+      chunkSeconds: Number(chunkSeconds),
+      channels: destNode.channelCount,
+      codec: pickMime || 'browser-default',
+      device: ms ? { deviceId: input.deviceId, label: input.label } : null,
+      sources: describeSources(),
+      separateSources: sourceCfg.separate
+    };
+    segments = [];
+    events = [];
+    markers = [];
+    openSegment();
+    await saveManifest();
 
     // MediaRecorder
     const opts = {};
     if (pickMime) opts.mimeType = pickMime;
-    mediaRecorder = new MediaRecorder(ms, opts);
+    mediaRecorder = new MediaRecorder(destNode.stream, opts);
 
-    mediaRecorder.ondataavailable = async (e) => {
+    mediaRecorder.ondataavailable = (e) => {
       if (!e.data || !e.data.size) return;
       const blob = e.data;
-      await storage.putChunk({ recordingId: currentId, index: chunkIndex++, blob, size: blob.size });
-      stats.chunkCount += 1;
-      stats.bytes += blob.size;
-      emit('chunk', { size: blob.size, index: chunkIndex - 1 });
+      const recordingId = currentId;
+      const index = chunkIndex++;
+      const startMs = lastEndMs;
+      const endMs = Math.max(startMs, activeMs());
+      lastEndMs = endMs;
+      writeChain = writeChain.then(async () => {
+        if (recordingId !== currentId) return; // the session failed meanwhile
+        const sha256 = await sha256Hex(blob);
+        await storage.putChunk({ recordingId, index, blob, size: blob.size, startMs, endMs, sha256 });
+        await hashChain.add(0, index, sha256);
+        stats.chunkCount += 1;
+        stats.bytes += blob.size;
+        emit('chunk', { size: blob.size, index });
+        if (limitCfg.maxBytes && stats.bytes >= limitCfg.maxBytes) endSession('limit', 'max-bytes');
+      }).catch(e => failSession(new StorageError(e, { recordingId })));
     };
 
-    mediaRecorder.onstop = async () => {
-      // finalize duration
-      const effectiveDuration = Date.now() - startTs - pausedAccum;
-      await storage.setDuration(currentId, effectiveDuration);
-      await storage.markStatus(currentId, 'ready');
+    if (ms) unwatchInput = watchInput(ms, onInputLost);
+    if (displayStream) unwatchDisplay = watchDisplay(displayStream, onDisplayEnded);
+    releaseSessionLock = holdSessionLock(currentId, storage);
+    addEventListener('pagehide', flushPartial);
+    document.addEventListener('freeze', flushPartial);
 
-      // teardown
-      stopMeter();
-      stopStats();
-      teardownStream();
+    stopped = new Promise(res => { resolveStopped = res; });
+    mediaRecorder.onstop = async () => {
+      const { reason = 'user', limit = null } = stopInfo || {};
+      // stopped by the browser rather than by endSession()
+      if (status !== 'finalizing') setStatus('finalizing', reason === 'user' ? undefined : reason);
+      try {
+        // last dataavailable fires before stop; let its write land first
+        await writeChain;
+        if (status === 'error') return; // that write failed
+        closeSegment(lastEndMs);
+        manifest.stop = { reason, ...(limit ? { limit } : {}), at: Date.now() };
+        await saveManifest();
+        await storage.setDuration(currentId, lastEndMs);
+        const rec = await storage.getRecording(currentId);
+        if (rec) await storage.putRecording({ ...rec, stopReason: reason, bytes: stats.bytes, ...(limit ? { limit } : {}) });
+        await storage.markStatus(currentId, 'ready');
+      } catch (e) {
+        failSession(new StorageError(e, { recordingId: currentId }));
+        return;
+      }
 
-      setStatus('ready');
+      closeSession();
+      if (limit) emit('limit', { limit, recordingId: currentId });
+      setStatus('ready', reason === 'user' ? undefined : reason);
       currentId = null;
+      stopInfo = null;
+      resolveStopped();
     };
 
-    mediaRecorder.onerror = (e) => console.error('[MediaRecorder]', e.error || e);
+    mediaRecorder.onerror = (e) => failSession(new RecorderError('recorder-failed',
+      `Recording failed: ${e.error?.message || e.error?.name || 'MediaRecorder error'}`, { cause: e.error || e }));
 
     // Start with a timeslice so we actually get periodic chunks
     mediaRecorder.start(Math.max(250, Math.floor(Number(chunkSeconds) * 1000)));
@@ -122,30 +250,259 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
     // Start meters + stats
     startMeter();
     startStats();
+    if (limitCfg.stopAt) cancelStopAt = scheduleAt(limitCfg.stopAt, () => endSession('limit', 'stop-time'));
+    quotaGuard.start();
 
     setStatus('recording');
+    if (audioCtx.state === 'suspended') onContextState('suspended').catch(console.error);
+  }
+
+  // Everything a session holds open, released once it ends (or fails)
+  function closeSession() {
+    releaseSessionLock();
+    unwatchInput();
+    unwatchDisplay();
+    unwatchContext(); unwatchContext = () => {};
+    cancelStopAt();
+    quotaGuard.stop();
+    removeEventListener('pagehide', flushPartial);
+    document.removeEventListener('freeze', flushPartial);
+    stopMeter();
+    stopStats();
+    teardownStream();
+  }
+
+  // Storage or the recorder failed under a live session: stop, keep what is stored
+  // (marked for recovery, like a crash) and surface the cause.
+  function failSession(error) {
+    console.error(error);
+    if (!currentId || status === 'error') return;
+    const id = currentId;
+    error.recordingId ??= id;
+    currentId = null;
+    if (mediaRecorder) {
+      mediaRecorder.ondataavailable = null;
+      mediaRecorder.onstop = null;
+      try { if (mediaRecorder.state !== 'inactive') mediaRecorder.stop(); } catch {}
+    }
+    closeSession();
+    stopInfo = null;
+    interruptedBy = null;
+    setStatus('error', error.code);
+    emit('error', error);
+    resolveStopped();
+    markRecovered(storage, id).catch(console.error);
   }
 
   async function pause() {
+    fsm.assert('pause');
     if (!mediaRecorder || status !== 'recording') return;
     mediaRecorder.pause();
+    closeSegment(activeMs());
     pauseTs = Date.now();
     setStatus('paused');
+    await saveManifest().catch(console.error);
   }
 
   async function resume() {
-    if (!mediaRecorder || status !== 'paused') return;
+    fsm.assert('resume');
+    if (status === 'interrupted') {
+      // only a suspended context can be resumed; a lost input needs setDevice()
+      if (interruptedBy !== 'audio-context-suspended') throw new InvalidStateError('resume', 'the input is missing');
+      await audioCtx.resume();
+      if (audioCtx.state !== 'running') throw new InputError('audio-context-suspended', 'The browser is still holding audio processing');
+      if (status === 'interrupted') restore();
+      await saveManifest().catch(console.error);
+      return;
+    }
+    if (!mediaRecorder) return;
     mediaRecorder.resume();
     if (pauseTs) pausedAccum += (Date.now() - pauseTs);
     pauseTs = 0;
+    openSegment();
     setStatus('recording');
+    await saveManifest().catch(console.error);
   }
 
   async function stop() {
-    if (!mediaRecorder || (status !== 'recording' && status !== 'paused')) return;
-    try { mediaRecorder.stop(); } catch {}
+    fsm.assert('stop');
+    return endSession('user');
+  }
+
+  // stop(), a limit or the only source going away; the first one wins
+  async function endSession(reason, limit = null) {
+    if (stopInfo) { await stopped; return; }
+    if (!mediaRecorder || (status !== 'recording' && status !== 'paused' && status !== 'interrupted')) return;
+    stopInfo = { reason, limit };
     if (pauseTs) pausedAccum += (Date.now() - pauseTs);
-    setStatus('idle');
+    pauseTs = 0;
+    interruptedBy = null;
+    setStatus('finalizing', reason === 'user' ? undefined : reason);
+    try { mediaRecorder.stop(); await stopped; } catch {}
+    if (status === 'ready') setStatus('idle', reason === 'user' ? undefined : reason);
+  }
+
+  /* ---------------- input devices ---------------- */
+  // Idle: remembered for the next start(). In a session: swap the graph input in place.
+  async function setDevice(nextId) {
+    deviceId = nextId || null;
+    if (!currentId || !audioCtx || !sourceCfg.mic) return;
+
+    const ms = await openInputStream({ deviceId, channels: sourceCfg.separate ? 1 : channels });
+    // the old input is gone before the new one is heard
+    unwatchInput();
+    mixer.detach('mic');
+    try { mediaStream?.getTracks().forEach(t => t.stop()); } catch {}
+    const next = audioCtx.createMediaStreamSource(ms);
+    mixer.attach('mic', next);
+    const from = manifest.device;
+    srcNode = next;
+    mediaStream = ms;
+    const input = describeInput(ms);
+    manifest.device = { deviceId: input.deviceId, label: input.label };
+    manifest.sources = describeSources();
+    unwatchInput = watchInput(ms, onInputLost);
+    logEvent('device-change', { from, to: manifest.device });
+
+    if (status === 'interrupted' && interruptedBy !== 'audio-context-suspended') restore();
+    await saveManifest().catch(console.error);
+  }
+
+  async function onInputLost(reason) {
+    if (status !== 'recording' && status !== 'paused') return;
+    const deviceId = manifest.device?.deviceId || null;
+    await interrupt(new InputError(reason,
+      reason === 'device-removed' ? 'Input device was disconnected' : 'Input track ended', { deviceId }));
+  }
+
+  // Suspended AudioContext: the recorder would only get silence. Try to resume it,
+  // otherwise wait in 'interrupted' for it to run again (or a resume() from a gesture).
+  async function onContextState(state) {
+    if (!currentId) return;
+    if (state === 'closed') { failSession(new InputError('audio-context-closed', 'Audio processing stopped unexpectedly')); return; }
+    if (state === 'running') {
+      if (status === 'interrupted' && interruptedBy === 'audio-context-suspended') {
+        restore();
+        await saveManifest().catch(console.error);
+      }
+      return;
+    }
+    if (state !== 'suspended' || (status !== 'recording' && status !== 'paused')) return;
+    try { await audioCtx.resume(); } catch {}
+    if (!audioCtx || audioCtx.state === 'running') return;
+    await interrupt(new InputError('audio-context-suspended', 'Audio processing was suspended by the browser'));
+  }
+
+  async function interrupt(error) {
+    resumeTo = status;
+    interruptedBy = error.code;
+    if (status === 'recording') {
+      try { mediaRecorder.pause(); } catch {}
+      closeSegment(activeMs());
+      pauseTs = Date.now();
+    }
+    logEvent('interrupted', { reason: error.code, ...(error.deviceId !== undefined ? { deviceId: error.deviceId } : {}) });
+    setStatus('interrupted', error.code);
+    emit('error', error);
+    await saveManifest().catch(console.error);
+  }
+
+  function restore() {
+    if (resumeTo === 'recording') {
+      if (pauseTs) pausedAccum += (Date.now() - pauseTs);
+      pauseTs = 0;
+      try { mediaRecorder.resume(); } catch {}
+      openSegment();
+    }
+    interruptedBy = null;
+    setStatus(resumeTo);
+  }
+
+  /* ---------------- sources ---------------- */
+  function describeSources() {
+    return activeSources(sourceCfg).map((name, i) => ({
+      type: name,
+      gain: sourceCfg[name].gain,
+      channel: sourceCfg.separate ? i : null,
+      label: describeInput(name === 'mic' ? mediaStream : displayStream).label,
+      ...(name === 'display' && !displayStream ? { ended: true } : {})
+    }));
+  }
+
+  // { save: false }: move the level only; logged and saved on the next call without it
+  async function setSourceGain(name, gain, { save = true } = {}) {
+    if (!sourceCfg[name] || !Number.isFinite(Number(gain))) return;
+    sourceCfg[name].gain = Number(gain);
+    mixer?.setGain(name, gain);
+    if (!currentId || !save) return;
+    manifest.sources = describeSources();
+    logEvent('gain', { source: name, gain: Number(gain) });
+    await saveManifest().catch(console.error);
+  }
+
+  // Share stopped: keep recording the mic, or end a display-only session
+  async function onDisplayEnded() {
+    emit('source', { source: 'display', state: 'ended' });
+    if (!sourceCfg.mic) { await endSession('source-ended'); return; }
+    mixer?.detach('display');
+    try { displayStream?.getTracks().forEach(t => t.stop()); } catch {}
+    displayStream = null;
+    if (!currentId) return;
+    logEvent('source-ended', { source: 'display' });
+    manifest.sources = describeSources();
+    await saveManifest().catch(console.error);
+  }
+
+  /* ---------------- timeline ---------------- */
+  function openSegment() {
+    segments.push({ startMs: activeMs(), endMs: null, startedAt: Date.now(), endedAt: null });
+  }
+  function closeSegment(endMs) {
+    const seg = segments[segments.length - 1];
+    if (!seg || seg.endMs !== null) return;
+    seg.endMs = Math.max(seg.startMs, endMs);
+    seg.endedAt = Date.now();
+  }
+  function logEvent(type, extra = {}) {
+    events.push({ type, atMs: activeMs(), at: Date.now(), ...extra });
+  }
+  function saveManifest() {
+    return storage.setManifest(currentId, {
+      ...manifest,
+      segments: segments.map(s => ({ ...s })),
+      events: events.map(e => ({ ...e })),
+      markers: markers.map(m => ({ ...m })),
+      integrity: hashChain?.integrity() || null
+    });
+  }
+
+  async function mark(label = '', data = null) {
+    fsm.assert('mark');
+    const marker = {
+      id: markers.length,
+      label: String(label || `Marker ${markers.length + 1}`),
+      atMs: activeMs(),
+      at: Date.now(),
+      data: data ?? null
+    };
+    markers.push(marker);
+    emit('marker', { ...marker });
+    await saveManifest().catch(console.error);
+    return marker;
+  }
+
+  // Page going away (pagehide) or frozen (freeze): ask for the data buffered since
+  // the last timeslice. Merely hidden tabs keep full chunks.
+  function flushPartial() {
+    if (mediaRecorder?.state === 'recording') {
+      try { mediaRecorder.requestData(); } catch {}
+    }
+  }
+
+  // active (unpaused) time since start
+  function activeMs() {
+    const pausedNow = pauseTs ? Date.now() - pauseTs : 0;
+    return Date.now() - startTs - pausedAccum - pausedNow;
   }
 
   /* ---------------- meter & stats ---------------- */
@@ -172,8 +529,10 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
   function startStats() {
     statsTimer = setInterval(() => {
       if (status === 'recording') {
-        stats.durationMs = Date.now() - startTs - pausedAccum;
-        emit('stats', { ...stats });
+        stats.durationMs = activeMs();
+        emit('stats', hasLimits(limitCfg) ? { ...stats, ...remaining(limitCfg, stats) } : { ...stats });
+        const limit = reachedLimit({ ...limitCfg, stopAt: null }, stats); // stop time has its own timer
+        if (limit) endSession('limit', limit);
       }
     }, 250);
   }
@@ -184,16 +543,36 @@ export async function createRecorderBox({ storage, chunkSeconds = 2, mimeType =
 
   function teardownStream() {
     try { mediaRecorder?.stream?.getTracks?.().forEach(t => t.stop()); } catch {}
+    try { mediaStream?.getTracks?.().forEach(t => t.stop()); } catch {}
+    try { displayStream?.getTracks?.().forEach(t => t.stop()); } catch {}
     try { mediaRecorder = null; } catch {}
     try { audioCtx?.close(); } catch {}
     audioCtx = null;
+    srcNode = null;
+    mixer = null;
+    destNode = null;
     analyser = null;
     mediaStream = null;
+    displayStream = null;
+  }
+
+  function getState() {
+    return {
+      state: status,
+      reason: fsm.reason,
+      recordingId: currentId,
+      stats: {
+        ...stats,
+        durationMs: currentId ? activeMs() : stats.durationMs,
+        ...(hasLimits(limitCfg) ? remaining(limitCfg, stats) : {})
+      }
+    };
   }
 
   return {
     on, off,
-    start, pause, resume, stop
+    start, pause, resume, stop, mark, getState,
+    listDevices: listInputDevices, setDevice, setSourceGain
   };
 }
 
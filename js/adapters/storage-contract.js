@@ -0,0 +1,58 @@
+// web/record-ver2.0/js/adapters/storage-contract.js
+// The storage interface every adapter implements (IndexedDB or OPFS in the app,
+// memory in tests). The recorders, recovery, player and harness only use these
+// calls, so an adapter that passes test/storage-conformance.js can be swapped in
+// at boot.
+// Run the suite with `node --test test/*.test.js` (the IndexedDB run needs fake-indexeddb
+// in node_modules and is skipped without it).
+//
+// Rows
+//   Recording  { id, createdAt, updatedAt?, status, mimeType, durationMs?, title?, tags?, notes?, starred?, ... }
+//              any extra fields (stopReason, sessionId, part, previousId, nextId…)
+//              are kept as given; title/tags/notes/starred are edited with setMetadata
+//   Manifest   any plain object; getManifest returns it with `recordingId` added
+//   Chunk      { recordingId, track = 0, index, blob, size, startMs, endMs, sha256?, peaks? }
+//              keyed by [recordingId, track, index]; putting the same key replaces it.
+//              sha256: hex digest of the blob, computed by the writer (integrity.js)
+//   Peaks      { binMs, min, max, rms } for one chunk, see peaks.js
+//
+// Calls (all async)
+//   putRecording(rec)                      insert or replace by rec.id
+//   getRecording(id)                       → Recording | null
+//   queryRecordings(query)                 → Recording[] matching { text, tags, status, starred,
+//                                          from, to, sort, limit, offset } (see metadata.js)
+//   listRecordings()                       → queryRecordings(): every row, newest createdAt first
+//   setDuration(id, ms)                    no-op for an unknown id; bumps updatedAt
+//   markStatus(id, status)                 no-op for an unknown id; bumps updatedAt
+//   touchRecording(id)                     bumps updatedAt only
+//   setMetadata(id, { title, tags, notes, starred })
+//                                          changes only the fields given, normalized (metadata.js);
+//                                          no-op for an unknown id; bumps updatedAt
+//   setManifest(id, manifest)              insert or replace
+//   getManifest(id)                        → Manifest | null
+//   putChunk(chunk)                        chunk + its peaks in one write
+//   getChunksWithTiming(id, { track })     → [{ blob, size, startMs, endMs, index, track, sha256? }] by index
+//                                          reads of one track never load other chunks' blobs
+//   iterateChunks(id, { track, batch })    async iterator of the same rows, by index; holds
+//                                          at most `batch` blobs at a time
+//   getChunksInRange(id, startMs, endMs = Infinity, { track })
+//                                          → rows overlapping [startMs, endMs), by time
+//   getChunks(id, { track })               async iterator of blobs, by index
+//   getChunksArray(id, { track })          → Blob[] by index
+//   countChunks(id, { track })             → number
+//   getOverview(id, { track, fromMs, toMs, bins })  → merged peaks | null
+//   deleteRecording(id)                    row, manifest, chunks and peaks of every track
+//   deleteChunks(id, { track, fromIndex }) one track's chunks and peaks from fromIndex on
+//   deleteAll()                            everything
+// Reads return copies: changing a returned row never changes what is stored.
+
+export const STORAGE_METHODS = [
+  'putRecording', 'getRecording', 'queryRecordings', 'listRecordings', 'setDuration', 'markStatus', 'touchRecording', 'setMetadata',
+  'setManifest', 'getManifest',
+  'putChunk', 'getChunksWithTiming', 'iterateChunks', 'getChunksInRange', 'getChunks', 'getChunksArray', 'countChunks',
+  'getOverview',
+  'deleteRecording', 'deleteChunks', 'deleteAll'
+];
+
+// Names of the contract calls an adapter is missing ([] = complete)
+export const missingMethods = (storage) => STORAGE_METHODS.filter(name => typeof storage?.[name] !== 'function');
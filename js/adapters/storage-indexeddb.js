@@ -1,19 +1,24 @@
-// IndexedDB adapter that stores per-chunk timing for MSE/PCM playback
-export async function createIndexedDbStorage({ dbName = 'recorder-v2', version = 6 } = {}) {
-  const db = await openDb(dbName, version, (db) => {
-    if (!db.objectStoreNames.contains('recordings')) {
-      const recs = db.createObjectStore('recordings', { keyPath: 'id' });
-      try { recs.createIndex('by_createdAt', 'createdAt', { unique: false }); } catch {}
-      try { recs.createIndex('by_status', 'status', { unique: false }); } catch {}
-    }
-    if (!db.objectStoreNames.contains('chunks')) {
-      const chunks = db.createObjectStore('chunks', { keyPath: ['recordingId','index'] });
-      try { chunks.createIndex('by_recording', 'recordingId', { unique: false }); } catch {}
-    }
-    if (!db.objectStoreNames.contains('manifests')) {
-      db.createObjectStore('manifests', { keyPath: 'recordingId' });
-    }
+// IndexedDB adapter that stores per-chunk timing for MSE/PCM playback,
+// plus per-chunk waveform peaks in a side store (overviews never touch audio).
+// Chunk and peak keys are [recordingId, track, index]; single-track recordings use track 0.
+// Implements the contract in storage-contract.js.
+import { mergePeaks } from '../peaks.js';
+import { normalizeMetadata, normalizeQuery, matchesQuery, applyQuery } from '../metadata.js';
+import { MIGRATIONS, SCHEMA_VERSION, migrate, eachRow } from './idb-migrations.js';
+
+// onBlocked(): another tab still has an older version open, the upgrade waits for it
+// onVersionChange(): a newer version was opened elsewhere; this connection is closed
+// so that upgrade can go ahead, and this page needs a reload
+export async function createIndexedDbStorage({
+  dbName = 'recorder-v2', version = SCHEMA_VERSION, migrations = MIGRATIONS,
+  onBlocked = () => console.warn('[idb] upgrade blocked: close other tabs of the recorder'),
+  onVersionChange = () => console.warn('[idb] a newer version was opened in another tab; reload this page')
+} = {}) {
+  const db = await openDb(dbName, version, {
+    upgrade: (db, tx, oldVersion, newVersion) => migrate({ db, tx, oldVersion, newVersion, migrations }),
+    blocked: onBlocked
   });
+  db.onversionchange = () => { db.close(); onVersionChange(); };
 
   /* -------- recordings -------- */
   async function putRecording(rec) {
@@ -27,13 +32,36 @@ export async function createIndexedDbStorage({ dbName = 'recorder-v2', version =
     await txDone(tx);
     return rec || null;
   }
-  async function listRecordings() {
+  // Narrows with one index, filters the rest in memory (metadata.js). By date, the
+  // createdAt index is walked in order and stops once `limit` rows matched.
+  async function queryRecordings(query) {
+    const q = normalizeQuery(query);
+    if (q.from !== null && q.to !== null && q.to <= q.from) return [];
     const tx = db.transaction(['recordings'], 'readonly');
-    const items = (await fromReq(tx.objectStore('recordings').getAll())) || [];
+    const store = tx.objectStore('recordings');
+    let rows;
+    if (q.tags.length) {
+      rows = await fromReq(store.index('by_tag').getAll(q.tags[0]));
+    } else if (q.status.length === 1) {
+      rows = await fromReq(store.index('by_status').getAll(q.status[0]));
+    } else if (q.sort === 'newest' || q.sort === 'oldest') {
+      rows = [];
+      let skip = q.offset;
+      await eachRow(store.index('by_createdAt'), (cursor) => {
+        if (!matchesQuery(cursor.value, q)) return;
+        if (skip) { skip--; return; }
+        rows.push(cursor.value);
+        if (rows.length >= q.limit) return false;
+      }, createdRange(q), q.sort === 'newest' ? 'prev' : 'next');
+      await txDone(tx);
+      return rows;
+    } else {
+      rows = await fromReq(store.index('by_createdAt').getAll(createdRange(q)));
+    }
     await txDone(tx);
-    items.sort((a,b)=>(b?.createdAt||0)-(a?.createdAt||0));
-    return items;
+    return applyQuery(rows || [], q);
   }
+  const listRecordings = () => queryRecordings();
   async function setDuration(id, ms) {
     const r = await getRecording(id); if (!r) return;
     r.durationMs = ms; r.updatedAt = Date.now();
@@ -44,6 +72,16 @@ export async function createIndexedDbStorage({ dbName = 'recorder-v2', version =
     r.status = status; r.updatedAt = Date.now();
     await putRecording(r);
   }
+  async function touchRecording(id) {
+    const r = await getRecording(id); if (!r) return;
+    r.updatedAt = Date.now();
+    await putRecording(r);
+  }
+  async function setMetadata(id, fields) {
+    const r = await getRecording(id); if (!r) return;
+    Object.assign(r, normalizeMetadata(fields), { updatedAt: Date.now() });
+    await putRecording(r);
+  }
 
   /* -------- manifests -------- */
   async function setManifest(id, manifest) {
@@ -59,96 +97,148 @@ export async function createIndexedDbStorage({ dbName = 'recorder-v2', version =
   }
 
   /* -------- chunks (with timing) -------- */
-  async function putChunk({ recordingId, index, blob, size, startMs, endMs }) {
-    const tx = db.transaction(['chunks'], 'readwrite');
-    tx.objectStore('chunks').put({ recordingId, index, blob, size, startMs, endMs });
+  // peaks (optional): { binMs, min, max, rms } for this chunk, written in the same transaction
+  async function putChunk({ recordingId, track = 0, index, blob, size, startMs, endMs, sha256 = null, peaks = null }) {
+    const tx = db.transaction(['chunks','peaks'], 'readwrite');
+    tx.objectStore('chunks').put({ recordingId, track, index, blob, size, startMs, endMs, ...(sha256 ? { sha256 } : {}) });
+    if (peaks) tx.objectStore('peaks').put({ recordingId, track, index, startMs, endMs, ...peaks });
+    await txDone(tx);
+  }
+
+  // Every read below stays inside one track's key range ([recordingId, track, *]),
+  // so other recordings' blobs are never loaded.
+  // One track's chunks (track 0 = the only track of a single-track recording)
+  async function getChunksWithTiming(recordingId, { track = 0 } = {}) {
+    const tx = db.transaction(['chunks'], 'readonly');
+    const rows = (await fromReq(tx.objectStore('chunks').getAll(trackRange(recordingId, track)))) || [];
     await txDone(tx);
+    return rows.map(r => timing(r, track));
   }
 
-  async function getChunksWithTiming(recordingId) {
+  // Streams one track's chunks in index order, `batch` rows per transaction, so only
+  // a batch of blobs is held at a time. A cursor can't outlive its transaction while
+  // the caller awaits, hence the batches.
+  async function* iterateChunks(recordingId, { track = 0, batch = 16 } = {}) {
+    let range = trackRange(recordingId, track);
+    for (;;) {
+      const tx = db.transaction(['chunks'], 'readonly');
+      const rows = (await fromReq(tx.objectStore('chunks').getAll(range, batch))) || [];
+      await txDone(tx);
+      for (const r of rows) yield timing(r, track);
+      if (rows.length < batch) return;
+      range = IDBKeyRange.bound([recordingId, track, rows[rows.length - 1].index], [recordingId, track, Infinity], true);
+    }
+  }
+
+  // Chunks overlapping [startMs, endMs), in time order, for seeking. Walks the time
+  // index backwards from endMs and stops at the first chunk that ends before startMs.
+  async function getChunksInRange(recordingId, startMs, endMs = Infinity, { track = 0 } = {}) {
     const tx = db.transaction(['chunks'], 'readonly');
-    const store = tx.objectStore('chunks');
-    const rows = await fromReq(store.getAll());
+    const range = IDBKeyRange.bound([recordingId, track, -Infinity], [recordingId, track, endMs], false, true);
+    const out = [];
+    await eachRow(tx.objectStore('chunks').index('by_time'), (cursor) => {
+      if (cursor.value.endMs <= startMs) return false;
+      out.push(timing(cursor.value, track));
+    }, range, 'prev');
     await txDone(tx);
-    const out = rows
-      .filter(r => r.recordingId === recordingId)
-      .sort((a,b)=>(a.index||0)-(b.index||0))
-      .map(({ blob, size, startMs, endMs, index }) => ({ blob, size, startMs, endMs, index }));
-    return out;
+    return out.reverse();
+  }
+
+  async function countChunks(recordingId, { track = 0 } = {}) {
+    const tx = db.transaction(['chunks'], 'readonly');
+    const n = await fromReq(tx.objectStore('chunks').count(trackRange(recordingId, track)));
+    await txDone(tx);
+    return n || 0;
+  }
+
+  /* -------- waveform overview -------- */
+  // Merged peaks for a recording, optionally for [fromMs, toMs) and reduced to `bins`.
+  // null when the recording has no peaks (e.g. MediaRecorder formats).
+  async function getOverview(recordingId, { track = 0, fromMs, toMs, bins } = {}) {
+    const tx = db.transaction(['peaks'], 'readonly');
+    const rows = (await fromReq(tx.objectStore('peaks').getAll(trackRange(recordingId, track)))) || [];
+    await txDone(tx);
+    return mergePeaks(rows, { fromMs, toMs, bins });
   }
 
   // legacy helpers used by UI
-  async function getChunksArray(recordingId) {
-    const rows = await getChunksWithTiming(recordingId);
+  async function getChunksArray(recordingId, opts) {
+    const rows = await getChunksWithTiming(recordingId, opts);
     return rows.map(r => r.blob);
   }
-  async function countChunks(recordingId) {
-    const rows = await getChunksWithTiming(recordingId);
-    return rows.length;
+  async function* getChunks(recordingId, opts) {
+    for await (const r of iterateChunks(recordingId, opts)) yield r.blob;
   }
 
   /* -------- deletion -------- */
   async function deleteRecording(recordingId) {
-    // Delete chunks
-    {
-      const tx = db.transaction(['chunks'], 'readwrite');
-      const store = tx.objectStore('chunks');
-      // Use index if available for efficiency
-      if (safeHasIndex(store, 'by_recording')) {
-        const idx = store.index('by_recording');
-        let cur = await fromReq(idx.openCursor(IDBKeyRange.only(recordingId)));
-        while (cur) { await fromReq(store.delete(cur.primaryKey)); cur = await fromReq(cur.continue()); }
-      } else {
-        let cur = await fromReq(store.openCursor());
-        while (cur) {
-          const v = cur.value;
-          if ((Array.isArray(cur.key) && cur.key[0] === recordingId) || v?.recordingId === recordingId) {
-            await fromReq(store.delete(cur.primaryKey));
-          }
-          cur = await fromReq(cur.continue());
-        }
-      }
-      await txDone(tx);
-    }
-    // Delete manifest
-    {
-      const tx = db.transaction(['manifests'], 'readwrite');
-      tx.objectStore('manifests').delete(recordingId);
-      await txDone(tx);
-    }
-    // Delete recording row
-    {
-      const tx = db.transaction(['recordings'], 'readwrite');
-      tx.objectStore('recordings').delete(recordingId);
-      await txDone(tx);
-    }
+    // chunk/peak keys start with the recording id, so one key range covers every track
+    const all = IDBKeyRange.bound([recordingId, -Infinity, -Infinity], [recordingId, Infinity, Infinity]);
+    const tx = db.transaction(['recordings','manifests','chunks','peaks'], 'readwrite');
+    tx.objectStore('chunks').delete(all);
+    tx.objectStore('peaks').delete(all);
+    tx.objectStore('manifests').delete(recordingId);
+    tx.objectStore('recordings').delete(recordingId);
+    await txDone(tx);
+  }
+
+  // one track's chunks and peaks from index `fromIndex` on (repair truncation)
+  async function deleteChunks(recordingId, { track = 0, fromIndex = 0 } = {}) {
+    const range = IDBKeyRange.bound([recordingId, track, fromIndex], [recordingId, track, Infinity]);
+    const tx = db.transaction(['chunks','peaks'], 'readwrite');
+    tx.objectStore('chunks').delete(range);
+    tx.objectStore('peaks').delete(range);
+    await txDone(tx);
   }
 
   async function deleteAll() {
-    const tx = db.transaction(['recordings','manifests','chunks'], 'readwrite');
+    const tx = db.transaction(['recordings','manifests','chunks','peaks'], 'readwrite');
     tx.objectStore('recordings').clear();
     tx.objectStore('manifests').clear();
     tx.objectStore('chunks').clear();
+    tx.objectStore('peaks').clear();
     await txDone(tx);
   }
 
   return {
     // recordings
-    putRecording, getRecording, listRecordings, setDuration, markStatus,
+    putRecording, getRecording, listRecordings, queryRecordings, setDuration, markStatus, touchRecording, setMetadata,
     // manifests
     setManifest, getManifest,
     // chunks
-    putChunk, getChunksWithTiming, getChunksArray, countChunks,
+    putChunk, getChunksWithTiming, iterateChunks, getChunksInRange, getChunks, getChunksArray, countChunks,
+    // waveform
+    getOverview,
     // delete
-    deleteRecording, deleteAll,
+    deleteRecording, deleteChunks, deleteAll,
   };
 }
 
 /* ---------------- helpers ---------------- */
-function openDb(name, version, onUpgrade) {
+// createdAt in [from, to); undefined = every row. The caller rules out an empty range.
+function createdRange({ from, to }) {
+  if (from !== null && to !== null) return IDBKeyRange.bound(from, to, false, true);
+  if (from !== null) return IDBKeyRange.lowerBound(from);
+  if (to !== null) return IDBKeyRange.upperBound(to, true);
+  return undefined;
+}
+const trackRange = (recordingId, track) => IDBKeyRange.bound([recordingId, track, -Infinity], [recordingId, track, Infinity]);
+const timing = ({ blob, size, startMs, endMs, index, sha256 }, track) => ({ blob, size, startMs, endMs, index, track, ...(sha256 ? { sha256 } : {}) });
+
+// A failed upgrade aborts its transaction, so the open rejects and nothing changes
+function openDb(name, version, { upgrade, blocked }) {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(name, version);
-    req.onupgradeneeded = (e) => { try { onUpgrade(req.result, e.oldVersion||0, e.newVersion||version); } catch (err) { console.error('[idb upgrade]', err);} };
+    req.onupgradeneeded = (e) => {
+      const tx = req.transaction;
+      let done;
+      try { done = Promise.resolve(upgrade(req.result, tx, e.oldVersion || 0, e.newVersion || version)); }
+      catch (err) { done = Promise.reject(err); }
+      done
+        .then(applied => { if (applied?.length) console.log('[idb upgrade]', applied.join(', ')); })
+        .catch(err => { console.error('[idb upgrade]', err); try { tx.abort(); } catch {} });
+    };
+    req.onblocked = () => blocked?.();
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
@@ -167,11 +257,3 @@ function txDone(tx) {
     tx.onerror = () => reject(tx.error);
   });
 }
-function safeHasIndex(store, name) {
-  try {
-    if (store.indexNames && typeof store.indexNames.contains === 'function') return store.indexNames.contains(name);
-    store.index(name);
-    return true;
-  } catch { return false; }
-}
-
@@ -1,29 +1,101 @@
 // In-memory adapter (for tests). Non-persistent.
+// Same contract as the IndexedDB adapter (see storage-contract.js), so it doubles
+// for it in the conformance suite and anywhere a throwaway store is enough.
+import { mergePeaks } from '../peaks.js';
+import { normalizeMetadata, normalizeQuery, applyQuery } from '../metadata.js';
+
 export function createMemoryStorage() {
   const recordings = new Map();
-  const chunks = new Map();      // key: recordingId -> Map(index -> {blob,size})
   const manifests = new Map();
+  const chunks = new Map();      // recordingId -> Map(track -> Map(index -> chunk row))
+  const peaks = new Map();       // recordingId -> Map(track -> Map(index -> peak row))
+  const rowsOf = (map, id, track = 0) => map.get(id)?.get(track);
+  function rowsFor(map, id, track) {
+    if (!map.get(id)) map.set(id, new Map());
+    if (!map.get(id).get(track)) map.get(id).set(track, new Map());
+    return map.get(id).get(track);
+  }
+  // rows as IndexedDB would hand them back: copies, never the stored object
+  const copy = (v) => v == null ? null : structuredClone(v);
+  const sorted = (m) => m ? Array.from(m.keys()).sort((a,b)=>a-b).map(i => m.get(i)) : [];
+
+  /* -------- recordings -------- */
+  async function putRecording(rec) { recordings.set(rec.id, copy(rec)); }
+  async function getRecording(id) { return copy(recordings.get(id)); }
+  async function queryRecordings(query) {
+    return applyQuery(Array.from(recordings.values()), normalizeQuery(query)).map(copy);
+  }
+  const listRecordings = () => queryRecordings();
+  function update(id, fields) {
+    const r = recordings.get(id); if (!r) return;
+    Object.assign(r, fields, { updatedAt: Date.now() });
+  }
+  async function setDuration(id, ms) { update(id, { durationMs: ms }); }
+  async function markStatus(id, status) { update(id, { status }); }
+  async function touchRecording(id) { update(id, {}); }
+  async function setMetadata(id, fields) { update(id, normalizeMetadata(fields)); }
+
+  /* -------- manifests -------- */
+  async function setManifest(id, manifest) { manifests.set(id, copy({ recordingId: id, ...manifest })); }
+  async function getManifest(id) { return copy(manifests.get(id)); }
+
+  /* -------- chunks (with timing) -------- */
+  async function putChunk({ recordingId, track = 0, index, blob, size, startMs, endMs, sha256 = null, peaks: p = null }) {
+    rowsFor(chunks, recordingId, track).set(index, { recordingId, track, index, blob, size, startMs, endMs, sha256 });
+    if (p) rowsFor(peaks, recordingId, track).set(index, copy({ recordingId, track, index, startMs, endMs, ...p }));
+  }
+  async function getChunksWithTiming(id, { track = 0 } = {}) {
+    return sorted(rowsOf(chunks, id, track))
+      .map(({ blob, size, startMs, endMs, index, sha256 }) => ({ blob, size, startMs, endMs, index, track, ...(sha256 ? { sha256 } : {}) }));
+  }
+  async function* iterateChunks(id, { track = 0 } = {}) {
+    for (const r of await getChunksWithTiming(id, { track })) yield r;
+  }
+  async function getChunksInRange(id, startMs, endMs = Infinity, { track = 0 } = {}) {
+    return (await getChunksWithTiming(id, { track })).filter(r => r.startMs < endMs && r.endMs > startMs);
+  }
+  async function* getChunks(id, { track = 0 } = {}) {
+    for (const r of sorted(rowsOf(chunks, id, track))) yield r.blob;
+  }
+  async function getChunksArray(id, opts) {
+    return (await getChunksWithTiming(id, opts)).map(r => r.blob);
+  }
+  async function countChunks(id, { track = 0 } = {}) {
+    return rowsOf(chunks, id, track)?.size || 0;
+  }
+
+  /* -------- waveform overview -------- */
+  async function getOverview(id, { track = 0, ...opts } = {}) {
+    return mergePeaks(sorted(rowsOf(peaks, id, track)), opts);
+  }
+
+  /* -------- deletion -------- */
+  async function deleteRecording(id) {
+    chunks.delete(id);
+    peaks.delete(id);
+    manifests.delete(id);
+    recordings.delete(id);
+  }
+  async function deleteChunks(id, { track = 0, fromIndex = 0 } = {}) {
+    for (const map of [chunks, peaks]) {
+      const rows = rowsOf(map, id, track);
+      for (const index of Array.from(rows?.keys() || [])) if (index >= fromIndex) rows.delete(index);
+    }
+  }
+  async function deleteAll() {
+    recordings.clear(); manifests.clear(); chunks.clear(); peaks.clear();
+  }
 
   return {
-    async putRecording(rec) { recordings.set(rec.id, { ...rec }); },
-    async touchRecording(id) { const r = recordings.get(id); if (r) r.updatedAt = Date.now(); },
-    async setDuration(id, ms) { const r = recordings.get(id); if (r) r.durationMs = ms; },
-    async setManifest(id, m) { manifests.set(id, { ...m }); },
-    async markStatus(id, s) { const r = recordings.get(id); if (r) r.status = s; },
-    async getRecording(id) { return recordings.get(id) || null; },
-    async listRecordings() { return Array.from(recordings.values()).sort((a,b)=>b.createdAt-a.createdAt); },
-    async countChunks(id) { const m = chunks.get(id); return m ? m.size : 0; },
-    async putChunk({ recordingId, index, blob, size }) {
-      if (!chunks.get(recordingId)) chunks.set(recordingId, new Map());
-      chunks.get(recordingId).set(index, { blob, size });
-    },
-    async *getChunks(id) {
-      const m = chunks.get(id);
-      if (!m) return;
-      const keys = Array.from(m.keys()).sort((a,b)=>a-b);
-      for (const k of keys) yield m.get(k).blob;
-    },
-    async getManifest(id) { return manifests.get(id) || null; },
+    // recordings
+    putRecording, getRecording, listRecordings, queryRecordings, setDuration, markStatus, touchRecording, setMetadata,
+    // manifests
+    setManifest, getManifest,
+    // chunks
+    putChunk, getChunksWithTiming, iterateChunks, getChunksInRange, getChunks, getChunksArray, countChunks,
+    // waveform
+    getOverview,
+    // delete
+    deleteRecording, deleteChunks, deleteAll,
   };
 }
-
@@ -0,0 +1,109 @@
+// web/record-ver2.0/js/adapters/storage-opfs.js
+// Origin Private File System adapter: each recording's audio is appended to one file
+// per track instead of a Blob per chunk, which stays fast for multi-hour sessions.
+// The files are written with sync access handles in opfs.worker.js (layout in
+// opfs-store.js); this side only forwards calls and turns bytes back into Blobs.
+// Implements the contract in storage-contract.js.
+//
+// createOpfsStorage() rejects where OPFS or sync access handles are missing, so
+// boot.js can fall back to IndexedDB. `store` runs an opfs-store in-process instead
+// of the worker (tests).
+import { mergePeaks } from '../peaks.js';
+import { normalizeMetadata, normalizeQuery, applyQuery } from '../metadata.js';
+import { connectWorker } from '../worker-rpc.js';
+
+export async function createOpfsStorage({ dirName = 'recorder-v2', store = null } = {}) {
+  const call = store ? (op, ...args) => store[op](...args) : await openWorker(dirName);
+
+  /* -------- recordings -------- */
+  const putRecording = (rec) => call('putRecording', rec);
+  const getRecording = (id) => call('getRecording', id);
+  const listRecordings = () => call('listRecordings');
+  // no indexes here: every row comes over and is filtered on this side
+  const queryRecordings = async (query) => applyQuery(await call('listRecordings'), normalizeQuery(query));
+  const setDuration = (id, ms) => call('updateRecording', id, { durationMs: ms });
+  const markStatus = (id, status) => call('updateRecording', id, { status });
+  const touchRecording = (id) => call('updateRecording', id, {});
+  const setMetadata = (id, fields) => call('updateRecording', id, normalizeMetadata(fields));
+
+  /* -------- manifests -------- */
+  const setManifest = (id, manifest) => call('setManifest', id, manifest);
+  const getManifest = (id) => call('getManifest', id);
+
+  /* -------- chunks (with timing) -------- */
+  async function putChunk({ recordingId, track = 0, index, blob, size, startMs, endMs, sha256 = null, peaks = null }) {
+    const bytes = await blob.arrayBuffer();
+    await call('putChunk', { recordingId, track, index, bytes, type: blob.type, size, startMs, endMs, sha256, peaks });
+  }
+
+  const toRow = ({ bytes, type, size, startMs, endMs, index, track, sha256 }) =>
+    ({ blob: new Blob([bytes], { type }), size, startMs, endMs, index, track, ...(sha256 ? { sha256 } : {}) });
+
+  async function getChunksWithTiming(recordingId, { track = 0 } = {}) {
+    return (await call('readChunks', recordingId, { track })).map(toRow);
+  }
+
+  // `batch` chunks per round trip to the worker
+  async function* iterateChunks(recordingId, { track = 0, batch = 16 } = {}) {
+    let afterIndex = null;
+    for (;;) {
+      const rows = await call('readChunks', recordingId, { track, afterIndex, limit: batch });
+      for (const r of rows) yield toRow(r);
+      if (rows.length < batch) return;
+      afterIndex = rows[rows.length - 1].index;
+    }
+  }
+
+  async function getChunksInRange(recordingId, startMs, endMs = Infinity, { track = 0 } = {}) {
+    return (await call('readChunks', recordingId, { track, startMs, endMs })).map(toRow);
+  }
+
+  const countChunks = (recordingId, { track = 0 } = {}) => call('countChunks', recordingId, { track });
+
+  /* -------- waveform overview -------- */
+  async function getOverview(recordingId, { track = 0, fromMs, toMs, bins } = {}) {
+    return mergePeaks(await call('getPeaks', recordingId, { track }), { fromMs, toMs, bins });
+  }
+
+  // legacy helpers used by UI
+  async function getChunksArray(recordingId, opts) {
+    return (await getChunksWithTiming(recordingId, opts)).map(r => r.blob);
+  }
+  async function* getChunks(recordingId, opts) {
+    for await (const r of iterateChunks(recordingId, opts)) yield r.blob;
+  }
+
+  /* -------- deletion -------- */
+  const deleteRecording = (recordingId) => call('deleteRecording', recordingId);
+  const deleteChunks = (recordingId, { track = 0, fromIndex = 0 } = {}) => call('deleteChunks', recordingId, { track, fromIndex });
+  const deleteAll = () => call('deleteAll');
+
+  return {
+    // recordings
+    putRecording, getRecording, listRecordings, queryRecordings, setDuration, markStatus, touchRecording, setMetadata,
+    // manifests
+    setManifest, getManifest,
+    // chunks
+    putChunk, getChunksWithTiming, iterateChunks, getChunksInRange, getChunks, getChunksArray, countChunks,
+    // waveform
+    getOverview,
+    // delete
+    deleteRecording, deleteChunks, deleteAll,
+  };
+}
+
+/* ---------------- helpers ---------------- */
+async function openWorker(dirName) {
+  if (typeof Worker === 'undefined') throw new Error('OPFS storage needs Web Workers');
+  const worker = new Worker(new URL('./opfs.worker.js', import.meta.url), { type: 'module' });
+  // chunk bytes move rather than copy
+  const call = connectWorker(worker, { label: 'OPFS worker', transfer: (op, args) => op === 'putChunk' ? [args[0].bytes] : [] });
+
+  try {
+    await call('init', dirName);
+  } catch (e) {
+    worker.terminate();
+    throw e;
+  }
+  return call;
+}
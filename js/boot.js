@@ -21,6 +21,16 @@ async function probe(url) {
   }
 }
 
+function bootNotice(msg) {
+  console.warn('[boot]', msg);
+  const box = document.getElementById('boot-errors');
+  if (!box) return;
+  const div = document.createElement('div');
+  div.textContent = msg;
+  div.className = 'text-amber-700';
+  box.appendChild(div);
+}
+
 (async () => {
   // Diagnostics box if index.html didn’t already create it
   if (!document.getElementById('boot-errors')) {
@@ -35,7 +45,30 @@ async function probe(url) {
   // Paths are RELATIVE TO THIS FILE (/web/record-ver2.0/js/boot.js)
   const paths = [
     './adapters/storage-indexeddb.js',
+    './adapters/idb-migrations.js',
+    './adapters/storage-contract.js',
+    './adapters/storage-opfs.js',
+    './adapters/opfs-store.js',
+    './adapters/opfs.worker.js',
+    './adapters/recorder-box.js',
     './recorder-box.js',
+    './pcm-recorder.worklet.js',
+    './pcm.js',
+    './pcm-codec.js',
+    './pcm-codec.worker.js',
+    './integrity.js',
+    './recovery.js',
+    './devices.js',
+    './vad.js',
+    './dsp.js',
+    './loudness.js',
+    './peaks.js',
+    './sources.js',
+    './limits.js',
+    './storage-health.js',
+    './metadata.js',
+    './state.js',
+    './errors.js',
     './ui/player-mse.js',
     './ui/harness.js',
     '../css/harness.css', // CSS probe only
@@ -47,17 +80,54 @@ async function probe(url) {
   const { createIndexedDbStorage } = await import('./adapters/storage-indexeddb.js');
   const { createRecorderBox }     = await import('./recorder-box.js');
   const { initHarnessUI }         = await import('./ui/harness.js');
+  const { missingMethods }        = await import('./adapters/storage-contract.js');
+
+  // ?storage=opfs keeps audio in OPFS files (one per track); anything else, or an
+  // OPFS failure, uses IndexedDB. The two don't share recordings.
+  async function openStorage(kind) {
+    if (kind === 'opfs') {
+      try {
+        const { createOpfsStorage } = await import('./adapters/storage-opfs.js');
+        const opfs = await createOpfsStorage({ dirName: 'recorder-v2' });
+        console.log('[init] OPFS storage ready');
+        return opfs;
+      } catch (e) {
+        console.error('[init] OPFS storage unavailable:', e);
+        bootNotice(`OPFS storage unavailable (${e.message || e}); using IndexedDB.`);
+      }
+    }
+    // Schema version comes from the migration list; other tabs must not wedge the upgrade
+    const idb = await createIndexedDbStorage({
+      dbName: 'recorder-v2',
+      onBlocked: () => bootNotice('Storage upgrade is waiting: close other tabs of the recorder.'),
+      onVersionChange: () => bootNotice('The recorder was updated in another tab. Reload this page to keep recording.')
+    });
+    console.log('[init] IndexedDB storage ready');
+    return idb;
+  }
 
   const chunkSecondsEl = document.getElementById('chunkSeconds');
   const mimeTypeEl     = document.getElementById('mimeType');
+  const channelsEl     = document.getElementById('channels');
 
-  const storage = await createIndexedDbStorage({ dbName: 'recorder-v2', version: 6 });
-  console.log('[init] IndexedDB storage ready');
+  const storage = await openStorage(new URLSearchParams(location.search).get('storage'));
+  const missing = missingMethods(storage);
+  if (missing.length) bootNotice(`Storage adapter is incomplete: ${missing.join(', ')}`);
+
+  // Sessions cut off by a crash/closed tab are still 'recording'; flag them for review
+  const { recoverOrphanedRecordings } = await import('./recovery.js');
+  try {
+    const recovered = await recoverOrphanedRecordings(storage);
+    if (recovered.length) console.log(`[init] Recovered ${recovered.length} interrupted recording(s)`);
+  } catch (e) {
+    console.error('[init] recovery pass failed:', e);
+  }
 
   const recorder = await createRecorderBox({
     storage,
     chunkSeconds: Number(chunkSecondsEl?.value) || 2,
-    mimeType: mimeTypeEl?.value
+    mimeType: mimeTypeEl?.value,
+    channels: Number(channelsEl?.value) || 1
   });
   console.log('[init] Recorder ready');
 
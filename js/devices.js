@@ -0,0 +1,77 @@
+// web/record-ver2.0/js/devices.js
+// Input device helpers shared by both engines: listing inputs, opening a stream
+// for a given deviceId, and noticing when that input (or the AudioContext) goes away mid-session.
+
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return all
+    .filter(d => d.kind === 'audioinput')
+    .map(d => ({ deviceId: d.deviceId, groupId: d.groupId, label: d.label || '' }));
+}
+
+// Raw capture: all browser processing off. deviceId null = browser default.
+export function openInputStream({ deviceId = null, channels = 1 } = {}) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      channelCount: { ideal: Math.max(1, Number(channels) || 1) },
+      sampleRate:   { ideal: 48000 },
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl:  false
+    }
+  });
+}
+
+export function describeInput(stream) {
+  const track = stream?.getAudioTracks?.()[0];
+  const settings = track?.getSettings?.() || {};
+  return {
+    deviceId: settings.deviceId || null,
+    label: track?.label || '',
+    channelCount: settings.channelCount || 0
+  };
+}
+
+// Calls onLost(reason) once when the stream's track ends ('track-ended') or its
+// device is no longer listed after a devicechange ('device-removed').
+// Returns an unsubscribe function.
+export function watchInput(stream, onLost) {
+  const track = stream?.getAudioTracks?.()[0];
+  let done = false;
+
+  const lost = (reason) => {
+    if (done) return;
+    done = true;
+    unwatch();
+    onLost(reason);
+  };
+  const onEnded = () => lost('track-ended');
+  const onDeviceChange = async () => {
+    const { deviceId } = describeInput(stream);
+    if (!deviceId) return;
+    const devices = await listInputDevices().catch(() => null);
+    if (devices && !devices.some(d => d.deviceId === deviceId)) lost('device-removed');
+  };
+
+  function unwatch() {
+    done = true;
+    track?.removeEventListener('ended', onEnded);
+    navigator.mediaDevices?.removeEventListener?.('devicechange', onDeviceChange);
+  }
+
+  track?.addEventListener('ended', onEnded);
+  navigator.mediaDevices?.addEventListener?.('devicechange', onDeviceChange);
+  return unwatch;
+}
+
+// Calls onChange(state) on every AudioContext state change. Browsers suspend the
+// context on interruptions (calls, backgrounding on mobile) and may refuse to
+// resume it without a user gesture. Returns an unsubscribe function.
+export function watchContext(ctx, onChange) {
+  if (!ctx?.addEventListener) return () => {};
+  const changed = () => onChange(ctx.state);
+  ctx.addEventListener('statechange', changed);
+  return () => ctx.removeEventListener('statechange', changed);
+}
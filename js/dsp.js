@@ -0,0 +1,137 @@
+// web/record-ver2.0/js/dsp.js
+// Sample-level processing chain for the PCM recorder. Stages run in order on
+// interleaved Float32 blocks (in place) before samples are sliced into chunks.
+// A chain is described by plain objects so it can be stored in the manifest and
+// rebuilt later:  [{ type: 'dc' }, { type: 'highpass', frequency: 80 }, { type: 'limiter' }]
+//
+// Built-in stages: 'dc', 'highpass', 'gain', 'gate', 'limiter'.
+// registerProcessor(type, defaults, factory) adds more.
+
+const registry = new Map();
+
+export function registerProcessor(type, defaults, factory) {
+  registry.set(type, { defaults, factory });
+}
+
+// specs: array of { type, ...params }. Returns { config, process(samples) } where
+// config is the specs with every default filled in (what goes in the manifest).
+export function createProcessorChain(specs = [], { sampleRate = 48000, channels = 1 } = {}) {
+  const stages = [];
+  const config = [];
+  for (const spec of specs || []) {
+    const entry = registry.get(spec?.type);
+    if (!entry) throw new Error(`Unknown processor type: ${spec?.type}`);
+    const params = { ...entry.defaults, ...spec };
+    stages.push(entry.factory(params, { sampleRate, channels }));
+    config.push(params);
+  }
+  return {
+    config,
+    process(samples) {
+      for (const stage of stages) stage(samples);
+      return samples;
+    }
+  };
+}
+
+export const PROCESSOR_PRESETS = {
+  none: [],
+  voice: [
+    { type: 'dc' },
+    { type: 'highpass', frequency: 80 },
+    { type: 'gate', thresholdDb: -55 },
+    { type: 'limiter', ceilingDb: -1 }
+  ],
+  safety: [
+    { type: 'dc' },
+    { type: 'limiter', ceilingDb: -1 }
+  ]
+};
+
+/* ------------ built-in stages ------------ */
+const dbToGain = (db) => Math.pow(10, db / 20);
+const msToCoef = (ms, sampleRate) => ms > 0 ? Math.exp(-1 / (ms / 1000 * sampleRate)) : 0;
+
+// One-pole DC blocker: y[n] = x[n] - x[n-1] + R·y[n-1]
+registerProcessor('dc', { cutoffHz: 10 }, ({ cutoffHz }, { sampleRate, channels }) => {
+  const R = 1 - (2 * Math.PI * cutoffHz / sampleRate);
+  const x1 = new Float32Array(channels), y1 = new Float32Array(channels);
+  return (s) => {
+    for (let i = 0; i < s.length; i += channels) {
+      for (let c = 0; c < channels; c++) {
+        const x = s[i + c];
+        const y = x - x1[c] + R * y1[c];
+        x1[c] = x; y1[c] = y; s[i + c] = y;
+      }
+    }
+  };
+});
+
+// 2nd-order high-pass biquad (RBJ cookbook)
+registerProcessor('highpass', { frequency: 80, q: Math.SQRT1_2 }, ({ frequency, q }, { sampleRate, channels }) => {
+  const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q), cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cos) / 2 / a0, b1 = -(1 + cos) / a0, b2 = b0;
+  const a1 = -2 * cos / a0, a2 = (1 - alpha) / a0;
+  const x1 = new Float64Array(channels), x2 = new Float64Array(channels);
+  const y1 = new Float64Array(channels), y2 = new Float64Array(channels);
+  return (s) => {
+    for (let i = 0; i < s.length; i += channels) {
+      for (let c = 0; c < channels; c++) {
+        const x = s[i + c];
+        const y = b0 * x + b1 * x1[c] + b2 * x2[c] - a1 * y1[c] - a2 * y2[c];
+        x2[c] = x1[c]; x1[c] = x; y2[c] = y1[c]; y1[c] = y;
+        s[i + c] = y;
+      }
+    }
+  };
+});
+
+registerProcessor('gain', { db: 0 }, ({ db }) => {
+  const g = dbToGain(db);
+  return (s) => { for (let i = 0; i < s.length; i++) s[i] *= g; };
+});
+
+// Noise gate, channels linked. Opens at thresholdDb, closes after holdMs below it,
+// attenuating to floorDb with attack/release smoothing.
+registerProcessor('gate', { thresholdDb: -50, floorDb: -60, attackMs: 2, holdMs: 80, releaseMs: 120 },
+  ({ thresholdDb, floorDb, attackMs, holdMs, releaseMs }, { sampleRate, channels }) => {
+    const threshold = dbToGain(thresholdDb), floor = dbToGain(floorDb);
+    const envCoef = msToCoef(5, sampleRate);
+    const attack = msToCoef(attackMs, sampleRate), release = msToCoef(releaseMs, sampleRate);
+    const holdFrames = Math.round(holdMs / 1000 * sampleRate);
+    let env = 0, gain = 1, held = 0;
+    return (s) => {
+      for (let i = 0; i < s.length; i += channels) {
+        let peak = 0;
+        for (let c = 0; c < channels; c++) peak = Math.max(peak, Math.abs(s[i + c]));
+        env = Math.max(peak, env * envCoef);
+        if (env >= threshold) held = holdFrames;
+        else if (held > 0) held--;
+        const target = held > 0 ? 1 : floor;
+        const coef = target > gain ? attack : release;
+        gain = target + (gain - target) * coef;
+        for (let c = 0; c < channels; c++) s[i + c] *= gain;
+      }
+    };
+  });
+
+// Peak limiter, channels linked: instant attack, exponential release, hard ceiling.
+registerProcessor('limiter', { ceilingDb: -1, releaseMs: 60 }, ({ ceilingDb, releaseMs }, { sampleRate, channels }) => {
+  const ceiling = dbToGain(ceilingDb);
+  const release = msToCoef(releaseMs, sampleRate);
+  let gain = 1;
+  return (s) => {
+    for (let i = 0; i < s.length; i += channels) {
+      let peak = 0;
+      for (let c = 0; c < channels; c++) peak = Math.max(peak, Math.abs(s[i + c]));
+      const needed = peak * gain > ceiling ? ceiling / peak : 1;
+      gain = needed < gain ? needed : 1 + (gain - 1) * release;
+      for (let c = 0; c < channels; c++) {
+        const v = s[i + c] * gain;
+        s[i + c] = v > ceiling ? ceiling : (v < -ceiling ? -ceiling : v);
+      }
+    }
+  };
+});
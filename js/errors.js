@@ -0,0 +1,71 @@
+// web/record-ver2.0/js/errors.js
+// Typed recorder errors. Public calls reject with them and the 'error' event carries
+// them, so callers can branch on `code` (or instanceof) instead of parsing messages.
+// Extra details (deviceId, track, recordingId, state…) sit on the error itself;
+// the original exception, when there is one, is `cause`.
+//
+// Codes:
+//   invalid-state            a call that the current state does not allow
+//   not-supported            missing browser API or an option the engine can't do
+//   permission-denied        the user or policy refused the mic / share
+//   quota-exceeded           storage is full
+//   storage-failed           any other storage write/read failure
+//   track-ended, device-removed, audio-context-suspended, audio-context-closed
+//                            the input went away (interrupted) or the graph died (error)
+//   recorder-failed          MediaRecorder reported an error
+
+export class RecorderError extends Error {
+  constructor(code, message, { cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'RecorderError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+export class InvalidStateError extends RecorderError {
+  constructor(action, state) {
+    super('invalid-state', `Cannot ${action} while ${state}`, { action, state });
+    this.name = 'InvalidStateError';
+  }
+}
+
+export class NotSupportedError extends RecorderError {
+  constructor(message, details) {
+    super('not-supported', message, details);
+    this.name = 'NotSupportedError';
+  }
+}
+
+export class StorageError extends RecorderError {
+  constructor(cause, details = {}) {
+    const quota = isQuotaError(cause);
+    super(quota ? 'quota-exceeded' : 'storage-failed',
+      quota ? 'Storage is full; the recording was stopped' : `Storage failed: ${cause?.message || cause}`,
+      { cause, ...details });
+    this.name = 'StorageError';
+  }
+}
+
+export class InputError extends RecorderError {
+  constructor(code, message, details) {
+    super(code, message, details);
+    this.name = 'InputError';
+  }
+}
+
+export function isQuotaError(e) {
+  return e?.name === 'QuotaExceededError' || e?.code === 22;
+}
+
+// getUserMedia / getDisplayMedia failures → typed errors; anything else passes through
+export function fromMediaError(e) {
+  if (e instanceof RecorderError) return e;
+  if (e?.name === 'NotAllowedError' || e?.name === 'SecurityError') {
+    return new RecorderError('permission-denied', 'Microphone or share permission was denied', { cause: e });
+  }
+  if (e?.name === 'NotFoundError' || e?.name === 'OverconstrainedError') {
+    return new InputError('device-removed', 'The selected input is not available', { cause: e });
+  }
+  return e;
+}
@@ -0,0 +1,230 @@
+// web/record-ver2.0/js/integrity.js
+// Chunk integrity. Recorders store each chunk with the SHA-256 of its stored bytes
+// (`sha256`, hex) and keep a hash chain per track in the manifest, in index order:
+//   head = '' at the start; then head = SHA-256(`${head}:${index}:${sha256}`) per chunk
+//   manifest.integrity = { algorithm: 'SHA-256', chains: [{ count, head }] } (by track)
+// verifyRecording() reports missing indexes, timing gaps and overlaps, size mismatches,
+// hash failures and a chain that no longer matches. repairRecording() fills missing or
+// damaged PCM chunks with silence, or truncates at the first problem, then re-chains.
+// Hashing needs crypto.subtle (secure contexts); without it chunks are stored unhashed
+// and verify only checks indexes, timing and sizes.
+import { isPcmFormat, encodingOf, encodePcm, bytesPerSample } from './pcm-codec.js';
+import { pcmLayout, pcmTracks } from './pcm.js';
+import { computePeaks } from './peaks.js';
+import { NotSupportedError } from './errors.js';
+
+const TIMING_TOLERANCE_MS = 1; // chunk timing is rounded frames (PCM) or clock reads (MediaRecorder)
+const enc = new TextEncoder();
+
+/* ------------ hashing ------------ */
+// Blob | ArrayBuffer | typed array → hex digest, or null without crypto.subtle
+export async function sha256Hex(data) {
+  if (!globalThis.crypto?.subtle) return null;
+  const bytes = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const link = (head, index, sha256) => sha256Hex(enc.encode(`${head}:${index}:${sha256}`));
+
+// Running chains for one recording; chunks must be added in index order per track
+export function createHashChain() {
+  const chains = [];
+  let queue = Promise.resolve();
+
+  // unhashed chunks (no crypto.subtle) leave the chain where it is
+  function add(track, index, sha256) {
+    if (!sha256) return queue;
+    queue = queue.then(async () => {
+      const c = chains[track] || { count: 0, head: '' };
+      chains[track] = { count: c.count + 1, head: await link(c.head, index, sha256) };
+    });
+    return queue;
+  }
+
+  // → manifest.integrity, or null before the first hashed chunk
+  function integrity() {
+    if (!chains.length) return null;
+    return { algorithm: 'SHA-256', chains: Array.from(chains, c => c ? { ...c } : { count: 0, head: '' }) };
+  }
+
+  return { add, integrity, settled: () => queue };
+}
+
+/* ------------ verify ------------ */
+// Streams every track once. Report:
+//   { recordingId, ok, problems, tracks: [{ track, chunks, missing: [index],
+//     gaps: [{ index, fromMs, toMs }], overlaps: [{ index, fromMs, toMs }],
+//     sizeMismatches: [{ index, size, actual, expected? }], hashFailures: [index],
+//     unhashed, chain: 'ok' | 'broken' | 'none' | 'unchecked', unchained }] }
+// A gap/overlap is between chunk `index` and the one before it. `unchained` counts
+// chunks written after the manifest last saved its chain (e.g. a crashed session);
+// they are checked like the rest, just not against the chain.
+export async function verifyRecording(storage, recordingId) {
+  const manifest = await storage.getManifest(recordingId);
+  const trackCount = isPcmFormat(manifest?.format) ? pcmTracks(manifest).length : 1;
+  const tracks = [];
+  for (let track = 0; track < trackCount; track++) tracks.push(await verifyTrack(storage, recordingId, manifest, track));
+  const problems = tracks.reduce((n, t) => n + t.missing.length + t.gaps.length + t.overlaps.length
+    + t.sizeMismatches.length + t.hashFailures.length + (t.chain === 'broken' ? 1 : 0), 0);
+  return { recordingId, ok: problems === 0, problems, tracks };
+}
+
+async function verifyTrack(storage, recordingId, manifest, track) {
+  const frameBytes = pcmFrameBytes(manifest);
+  const chain = manifest?.integrity?.chains?.[track] || null;
+  const canHash = !!globalThis.crypto?.subtle;
+  const out = {
+    track, chunks: 0, missing: [], gaps: [], overlaps: [], sizeMismatches: [], hashFailures: [], unhashed: 0,
+    chain: !chain ? 'none' : canHash ? 'ok' : 'unchecked', unchained: 0
+  };
+  let prev = null;
+  let head = '', linked = 0, outOfOrder = false;
+
+  for await (const c of storage.iterateChunks(recordingId, { track })) {
+    out.chunks++;
+    const expectedIndex = prev ? prev.index + 1 : 0;
+    for (let i = expectedIndex; i < c.index; i++) out.missing.push(i);
+    if (prev && c.index === expectedIndex) {
+      if (c.startMs - prev.endMs > TIMING_TOLERANCE_MS) out.gaps.push({ index: c.index, fromMs: prev.endMs, toMs: c.startMs });
+      if (prev.endMs - c.startMs > TIMING_TOLERANCE_MS) out.overlaps.push({ index: c.index, fromMs: c.startMs, toMs: prev.endMs });
+    }
+
+    const bytes = await c.blob.arrayBuffer();
+    const expected = frameBytes ? Math.round((c.endMs - c.startMs) / 1000 * pcmLayout(manifest).sampleRate) * frameBytes : null;
+    if (c.size !== bytes.byteLength || (expected !== null && expected !== bytes.byteLength)) {
+      out.sizeMismatches.push({ index: c.index, size: c.size, actual: bytes.byteLength, ...(expected !== null ? { expected } : {}) });
+    }
+
+    const actual = canHash ? await sha256Hex(bytes) : null;
+    if (!c.sha256) out.unhashed++;
+    else if (actual && actual !== c.sha256) out.hashFailures.push(c.index);
+
+    // the chain covers the first `count` chunks, which must be 0..count-1
+    if (chain && linked < chain.count) {
+      if (c.index !== linked) outOfOrder = true;
+      else if (actual) head = await link(head, c.index, actual);
+      linked++;
+    } else if (chain) out.unchained++;
+    prev = c;
+  }
+  if (out.chain === 'ok' && (outOfOrder || linked < chain.count || head !== chain.head)) out.chain = 'broken';
+  return out;
+}
+
+// Stored bytes per frame of one track for uncompressed PCM; null when sizes can't be predicted
+function pcmFrameBytes(manifest) {
+  if (!isPcmFormat(manifest?.format)) return null;
+  const encoding = encodingOf(manifest.format);
+  if (encoding === 's16-deflate') return null;
+  return bytesPerSample(encoding) * pcmLayout(manifest).channels;
+}
+
+/* ------------ repair ------------ */
+// action 'fill-silence' (PCM only): writes a silent chunk for every missing index (their
+//   share of the time between the neighbours) and over every chunk whose hash or size is
+//   wrong, keeping its timing. Timing gaps between consecutive indexes stay as they are.
+// action 'truncate': deletes every chunk from the first problem on, in every track.
+// Both re-chain every track, note the repair in manifest.repairs and return a new report.
+export async function repairRecording(storage, recordingId, { action, report = null } = {}) {
+  const manifest = await storage.getManifest(recordingId);
+  if (!manifest) throw new NotSupportedError('Recording has no manifest to repair');
+  report ||= await verifyRecording(storage, recordingId);
+  let note;
+  if (action === 'fill-silence') {
+    if (!isPcmFormat(manifest.format)) throw new NotSupportedError('Only WAV (PCM) recordings can be filled with silence');
+    let filled = 0;
+    for (const t of report.tracks) filled += await fillTrack(storage, recordingId, manifest, t);
+    note = { action, filled };
+  } else if (action === 'truncate') {
+    const at = firstProblem(report);
+    if (at !== null) {
+      for (const t of report.tracks) await storage.deleteChunks(recordingId, { track: t.track, fromIndex: at });
+      await setDurationFromChunks(storage, recordingId, manifest);
+    }
+    note = { action, fromIndex: at };
+  } else {
+    throw new NotSupportedError(`Unknown repair action: ${action}`);
+  }
+
+  manifest.integrity = await rechain(storage, recordingId, report.tracks.length);
+  manifest.repairs = [...(manifest.repairs || []), { ...note, at: Date.now() }];
+  await storage.setManifest(recordingId, manifest);
+  await storage.touchRecording(recordingId);
+  return verifyRecording(storage, recordingId);
+}
+
+// Lowest chunk index any track has a problem at, or null. A broken chain alone has no
+// position; the repair re-chains it.
+export function firstProblem(report) {
+  const at = [];
+  for (const t of report.tracks) {
+    at.push(...t.missing, ...t.hashFailures, ...t.gaps.map(g => g.index), ...t.overlaps.map(o => o.index),
+      ...t.sizeMismatches.map(s => s.index));
+  }
+  return at.length ? Math.min(...at) : null;
+}
+
+async function fillTrack(storage, recordingId, manifest, t) {
+  const rows = [];
+  for await (const c of storage.iterateChunks(recordingId, { track: t.track })) rows.push({ index: c.index, startMs: c.startMs, endMs: c.endMs });
+  const byIndex = new Map(rows.map(r => [r.index, r]));
+  const chunkMs = (Number(manifest.chunkSeconds) || 2) * 1000;
+  const plans = [];
+
+  // runs of missing indexes share the time between their neighbours
+  for (let k = 0; k < t.missing.length;) {
+    let end = k;
+    while (end + 1 < t.missing.length && t.missing[end + 1] === t.missing[end] + 1) end++;
+    const first = t.missing[k], last = t.missing[end];
+    const next = byIndex.get(last + 1);
+    const fromMs = byIndex.get(first - 1)?.endMs ?? (next.startMs - (last - first + 1) * chunkMs);
+    const stepMs = (next.startMs - fromMs) / (last - first + 1);
+    for (let i = first; i <= last; i++) {
+      plans.push({ index: i, startMs: fromMs + (i - first) * stepMs, endMs: i === last ? next.startMs : fromMs + (i - first + 1) * stepMs });
+    }
+    k = end + 1;
+  }
+  // damaged chunks keep their slot
+  for (const index of new Set([...t.hashFailures, ...t.sizeMismatches.map(s => s.index)])) {
+    const r = byIndex.get(index);
+    plans.push({ index, startMs: r.startMs, endMs: r.endMs });
+  }
+
+  for (const p of plans) await putSilence(storage, recordingId, manifest, t.track, p);
+  return plans.length;
+}
+
+async function putSilence(storage, recordingId, manifest, track, { index, startMs, endMs }) {
+  const { channels, layout, sampleRate } = pcmLayout(manifest);
+  const frames = Math.max(0, Math.round((endMs - startMs) / 1000 * sampleRate));
+  const samples = new Float32Array(frames * channels);
+  const bytes = await encodePcm(samples, encodingOf(manifest.format), { stride: layout === 'planar' ? 1 : channels });
+  const blob = new Blob([bytes], { type: 'application/octet-stream' });
+  await storage.putChunk({
+    recordingId, track, index, blob, size: blob.size, startMs, endMs,
+    sha256: await sha256Hex(bytes),
+    peaks: computePeaks(samples, channels, sampleRate)
+  });
+}
+
+async function rechain(storage, recordingId, trackCount) {
+  const chain = createHashChain();
+  for (let track = 0; track < trackCount; track++) {
+    for await (const c of storage.iterateChunks(recordingId, { track })) chain.add(track, c.index, await sha256Hex(c.blob));
+  }
+  await chain.settled();
+  return chain.integrity();
+}
+
+// like recovery.js: first start to last end of track 0
+async function setDurationFromChunks(storage, recordingId, manifest) {
+  let start = Infinity, end = -Infinity;
+  for await (const c of storage.iterateChunks(recordingId)) {
+    start = Math.min(start, c.startMs);
+    end = Math.max(end, c.endMs);
+  }
+  const durationMs = end > start ? end - start : 0;
+  await storage.setDuration(recordingId, durationMs);
+  if (isPcmFormat(manifest.format)) manifest.durationFrames = Math.round(durationMs / 1000 * pcmLayout(manifest).sampleRate);
+}
@@ -0,0 +1,58 @@
+// web/record-ver2.0/js/limits.js
+// Session limits shared by both engines: max duration, max bytes and a wall-clock
+// stop time. Reaching one ends the session through the normal finalize path with
+// reason 'limit'; which limit it was is saved on the recording and in the manifest.
+// Limit kinds: 'max-duration' | 'max-bytes' | 'stop-time', plus 'storage-low' from the
+// quota guard in storage-health.js
+// Rollover works the same way per part, but starts the next linked recording instead.
+
+export function normalizeLimits({ maxDurationMs = null, maxBytes = null, stopAt = null } = {}) {
+  const positive = (v) => Number(v) > 0 ? Number(v) : null;
+  return {
+    maxDurationMs: positive(maxDurationMs),
+    maxBytes: positive(maxBytes),
+    stopAt: positive(stopAt instanceof Date ? stopAt.getTime() : stopAt)
+  };
+}
+
+// Part size for rollover: { everyMs, everyBytes }, null = no rollover
+export function normalizeRollover({ rolloverMs = null, rolloverBytes = null } = {}) {
+  const { maxDurationMs: everyMs, maxBytes: everyBytes } = normalizeLimits({ maxDurationMs: rolloverMs, maxBytes: rolloverBytes });
+  return everyMs || everyBytes ? { everyMs, everyBytes } : null;
+}
+
+export const hasLimits = (l) => !!(l.maxDurationMs || l.maxBytes || l.stopAt);
+
+// The first limit reached, or null
+export function reachedLimit(limits, { durationMs = 0, bytes = 0 }, now = Date.now()) {
+  if (limits.maxDurationMs && durationMs >= limits.maxDurationMs) return 'max-duration';
+  if (limits.maxBytes && bytes >= limits.maxBytes) return 'max-bytes';
+  if (limits.stopAt && now >= limits.stopAt) return 'stop-time';
+  return null;
+}
+
+// What is left before a limit: { remainingMs, remainingBytes }, null = unlimited
+export function remaining(limits, { durationMs = 0, bytes = 0 }, now = Date.now()) {
+  const ms = [];
+  if (limits.maxDurationMs) ms.push(limits.maxDurationMs - durationMs);
+  if (limits.stopAt) ms.push(limits.stopAt - now);
+  return {
+    remainingMs: ms.length ? Math.max(0, Math.min(...ms)) : null,
+    remainingBytes: limits.maxBytes ? Math.max(0, limits.maxBytes - bytes) : null
+  };
+}
+
+// Runs fn at wall-clock time `at` (ms or Date). Long waits are re-armed because
+// setTimeout caps out at ~24.8 days. Returns a cancel function.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+export function scheduleAt(at, fn) {
+  const target = at instanceof Date ? at.getTime() : Number(at);
+  let timer = 0;
+  const arm = () => {
+    const wait = target - Date.now();
+    if (wait <= 0) { timer = 0; fn(); return; }
+    timer = setTimeout(arm, Math.min(wait, MAX_TIMEOUT));
+  };
+  arm();
+  return () => { if (timer) clearTimeout(timer); timer = 0; };
+}
@@ -0,0 +1,164 @@
+// web/record-ver2.0/js/loudness.js
+// Broadcast-style metering per ITU-R BS.1770 / EBU R128 on interleaved Float32:
+//  - momentary (400 ms) and short-term (3 s) loudness, K-weighted, in LUFS
+//  - integrated loudness over everything pushed (absolute -70 LUFS + relative -10 LU gates)
+//  - true peak (4x oversampled, BS.1770 Annex 2 interpolator) and sample peak
+//  - clipped-sample count (|v| at or above CLIP_LEVEL)
+// snapshot() is the live reading, summary() the per-recording figures.
+// Levels with nothing measured yet are null (JSON-safe, unlike -Infinity).
+
+export const CLIP_LEVEL = 0.9999;
+
+const ABS_GATE_LUFS = -70;
+const REL_GATE_LU = -10;
+
+// 4 phases × 12 taps
+const TRUE_PEAK_TAPS = [
+  [ 0.0017089843750,  0.0109863281250, -0.0196533203125,  0.0332031250000, -0.0594482421875,  0.1373291015625,
+    0.9721679687500, -0.1022949218750,  0.0476074218750, -0.0266113281250,  0.0148925781250, -0.0083007812500],
+  [-0.0291748046875,  0.0292968750000, -0.0517578125000,  0.0891113281250, -0.1665039062500,  0.4650878906250,
+    0.7797851562500, -0.2003173828125,  0.1015625000000, -0.0582275390625,  0.0330810546875, -0.0189208984375],
+  [-0.0189208984375,  0.0330810546875, -0.0582275390625,  0.1015625000000, -0.2003173828125,  0.7797851562500,
+    0.4650878906250, -0.1665039062500,  0.0891113281250, -0.0517578125000,  0.0292968750000, -0.0291748046875],
+  [-0.0083007812500,  0.0148925781250, -0.0266113281250,  0.0476074218750, -0.1022949218750,  0.9721679687500,
+    0.1373291015625, -0.0594482421875,  0.0332031250000, -0.0196533203125,  0.0109863281250,  0.0017089843750]
+];
+const TP_LEN = 12;
+
+export function createLoudnessMeter({ sampleRate = 48000, channels = 1 } = {}) {
+  const [shelf, highpass] = kWeighting(sampleRate);
+  // per channel biquad state: shelf x1,x2,y1,y2 then high-pass x1,x2,y1,y2
+  const state = Array.from({ length: channels }, () => new Float64Array(8));
+  const tpHistory = Array.from({ length: channels }, () => new Float32Array(TP_LEN));
+  let tpPos = 0;
+
+  const subFrames = Math.round(sampleRate / 10); // 100 ms sub-blocks
+  let subSum = 0, subCount = 0;
+  const recent = [];   // last 30 sub-block mean powers (3 s)
+  const blocks = [];   // 400 ms gating block powers, one per 100 ms step
+
+  let truePeak = 0, samplePeak = 0, clipCount = 0;
+  let maxMomentary = 0, maxShortTerm = 0; // in power
+
+  function push(samples) {
+    for (let i = 0; i < samples.length; i += channels) {
+      let power = 0;
+      for (let c = 0; c < channels; c++) {
+        const x = samples[i + c];
+        const a = Math.abs(x);
+        if (a > samplePeak) samplePeak = a;
+        if (a >= CLIP_LEVEL) clipCount++;
+
+        const h = tpHistory[c];
+        h[tpPos] = x;
+        for (const taps of TRUE_PEAK_TAPS) {
+          let y = 0;
+          for (let k = 0; k < TP_LEN; k++) y += taps[k] * h[(tpPos - k + TP_LEN) % TP_LEN];
+          if (Math.abs(y) > truePeak) truePeak = Math.abs(y);
+        }
+
+        const s = state[c];
+        const y1 = shelf.b0 * x + shelf.b1 * s[0] + shelf.b2 * s[1] - shelf.a1 * s[2] - shelf.a2 * s[3];
+        s[1] = s[0]; s[0] = x; s[3] = s[2]; s[2] = y1;
+        const y2 = highpass.b0 * y1 + highpass.b1 * s[4] + highpass.b2 * s[5] - highpass.a1 * s[6] - highpass.a2 * s[7];
+        s[5] = s[4]; s[4] = y1; s[7] = s[6]; s[6] = y2;
+        power += y2 * y2; // channel weight 1 (L, R, C / mono)
+      }
+      tpPos = (tpPos + 1) % TP_LEN;
+
+      subSum += power;
+      if (++subCount === subFrames) {
+        recent.push(subSum / subCount);
+        if (recent.length > 30) recent.shift();
+        if (recent.length >= 4) {
+          const block = meanOf(recent, 4);
+          blocks.push(block);
+          if (block > maxMomentary) maxMomentary = block;
+        }
+        if (recent.length === 30) maxShortTerm = Math.max(maxShortTerm, meanOf(recent, 30));
+        subSum = 0; subCount = 0;
+      }
+    }
+  }
+
+  function integratedPower() {
+    const absGate = lufsToPower(ABS_GATE_LUFS);
+    let sum = 0, n = 0;
+    for (const p of blocks) if (p > absGate) { sum += p; n++; }
+    if (!n) return 0;
+    const relGate = (sum / n) * Math.pow(10, REL_GATE_LU / 10);
+    sum = 0; n = 0;
+    for (const p of blocks) if (p > absGate && p > relGate) { sum += p; n++; }
+    return n ? sum / n : 0;
+  }
+
+  function snapshot() {
+    return {
+      momentaryLufs: recent.length >= 4 ? powerToLufs(meanOf(recent, 4)) : null,
+      shortTermLufs: recent.length >= 30 ? powerToLufs(meanOf(recent, 30)) : null,
+      integratedLufs: powerToLufs(integratedPower()),
+      truePeakDbtp: toDb(Math.max(truePeak, samplePeak)),
+      samplePeakDbfs: toDb(samplePeak),
+      clipCount
+    };
+  }
+
+  // What gets stored per recording
+  function summary() {
+    const { integratedLufs, truePeakDbtp, samplePeakDbfs } = snapshot();
+    return {
+      integratedLufs,
+      maxMomentaryLufs: powerToLufs(maxMomentary),
+      maxShortTermLufs: powerToLufs(maxShortTerm),
+      truePeakDbtp,
+      samplePeakDbfs,
+      clipCount
+    };
+  }
+
+  return { push, snapshot, summary };
+}
+
+/* ------------ helpers ------------ */
+function meanOf(list, n) {
+  let sum = 0;
+  for (let i = list.length - n; i < list.length; i++) sum += list[i];
+  return sum / n;
+}
+
+const lufsToPower = (lufs) => Math.pow(10, (lufs + 0.691) / 10);
+
+function powerToLufs(power) {
+  return power > 0 ? round1(-0.691 + 10 * Math.log10(power)) : null;
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? round1(20 * Math.log10(amplitude)) : null;
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Pre-filter (high shelf) and RLB high-pass, derived for any sample rate
+function kWeighting(sampleRate) {
+  let f0 = 1681.974450955533, G = 3.999843853973347, Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, G / 20), Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  f0 = 38.13547087602444; Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b0: 1, b1: -2, b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  return [shelf, highpass];
+}
@@ -0,0 +1,87 @@
+// web/record-ver2.0/js/metadata.js
+// Recording metadata and search, shared by the storage adapters.
+// Editable fields on the recording row (storage.setMetadata):
+//   title ''   tags []   notes ''   starred false (kept by retention, see storage-health.js)
+// Tags are trimmed, lower-cased and de-duplicated.
+//
+// storage.queryRecordings(query) takes
+//   text     every word must appear in the title, tags, notes or id (any case)
+//   tags     'a, b' or ['a', 'b']: recordings carrying all of them
+//   status   'ready' or ['ready', 'recovered']
+//   starred  true / false; omitted = either
+//   from/to  createdAt in [from, to) (ms, Date or date string)
+//   sort     'newest' (default) | 'oldest' | 'longest' | 'shortest' | 'title'
+//   limit / offset  paging, after sorting
+// and resolves with the matching rows.
+
+export const METADATA_FIELDS = ['title', 'tags', 'notes', 'starred'];
+export const SORTS = ['newest', 'oldest', 'longest', 'shortest', 'title'];
+
+/* ------------ fields ------------ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return Array.from(new Set(list.map(t => String(t ?? '').trim().toLowerCase()).filter(Boolean)));
+}
+
+// Only the fields given are returned, so a partial update leaves the others alone
+export function normalizeMetadata(fields = {}) {
+  const out = {};
+  if ('title' in fields) out.title = String(fields.title ?? '').trim();
+  if ('tags' in fields) out.tags = normalizeTags(fields.tags);
+  if ('notes' in fields) out.notes = String(fields.notes ?? '');
+  if ('starred' in fields) out.starred = !!fields.starred;
+  return out;
+}
+
+/* ------------ queries ------------ */
+export function normalizeQuery({ text = '', tags = [], status = [], starred = null, from = null, to = null, sort = 'newest', limit = Infinity, offset = 0 } = {}) {
+  return {
+    words: String(text ?? '').toLowerCase().split(/\s+/).filter(Boolean),
+    tags: normalizeTags(tags),
+    status: (Array.isArray(status) ? status : [status]).filter(Boolean),
+    starred: starred == null ? null : !!starred,
+    from: toMs(from),
+    to: toMs(to),
+    sort: SORTS.includes(sort) ? sort : 'newest',
+    limit: Number(limit) > 0 ? Number(limit) : Infinity,
+    offset: Math.max(0, Math.floor(Number(offset)) || 0)
+  };
+}
+
+// q: normalizeQuery() output
+export function matchesQuery(rec, q) {
+  if (q.status.length && !q.status.includes(rec.status)) return false;
+  if (q.starred !== null && !!rec.starred !== q.starred) return false;
+  if (q.from !== null && !((rec.createdAt || 0) >= q.from)) return false;
+  if (q.to !== null && !((rec.createdAt || 0) < q.to)) return false;
+  const tags = rec.tags || [];
+  if (q.tags.some(t => !tags.includes(t))) return false;
+  if (q.words.length) {
+    const hay = [rec.title, rec.notes, tags.join(' '), rec.id].filter(Boolean).join('\n').toLowerCase();
+    if (q.words.some(w => !hay.includes(w))) return false;
+  }
+  return true;
+}
+
+const byNewest = (a, b) => (b?.createdAt || 0) - (a?.createdAt || 0);
+const COMPARE = {
+  newest: byNewest,
+  oldest: (a, b) => byNewest(b, a),
+  longest: (a, b) => (b.durationMs || 0) - (a.durationMs || 0) || byNewest(a, b),
+  shortest: (a, b) => (a.durationMs || 0) - (b.durationMs || 0) || byNewest(a, b),
+  // untitled last
+  title: (a, b) => (!a.title - !b.title) || String(a.title || '').localeCompare(String(b.title || '')) || byNewest(a, b)
+};
+
+// Filters, sorts and pages rows in memory (adapters without indexes, and what the
+// IndexedDB indexes could not narrow down)
+export function applyQuery(rows, q) {
+  const end = q.limit === Infinity ? undefined : q.offset + q.limit;
+  return rows.filter(r => matchesQuery(r, q)).sort(COMPARE[q.sort]).slice(q.offset, end);
+}
+
+function toMs(v) {
+  if (v == null || v === '') return null;
+  const ms = v instanceof Date ? v.getTime() : typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(ms) ? ms : null;
+}
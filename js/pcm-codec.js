@@ -0,0 +1,145 @@
+// web/record-ver2.0/js/pcm-codec.js
+// Storage encodings for PCM chunks. The recorder encodes each chunk on write; the
+// player and export decode them back to Float32 (pcm.js). The encoding is saved in the
+// manifest as `format: 'pcm-<encoding>'`:
+//   'f32'         Float32 as captured, 4 bytes per sample (every recording before encodings)
+//   's16'         16-bit integers, 2 bytes per sample; the same resolution the WAV export has
+//   's16-deflate' lossless over 's16': per-channel deltas, split into low/high byte planes,
+//                 deflated (CompressionStream). Runs in pcm-codec.worker.js where workers exist.
+// Compressed chunks start with a 2-byte header: [version, delta stride].
+import { NotSupportedError } from './errors.js';
+import { connectWorker } from './worker-rpc.js';
+
+export const PCM_ENCODINGS = ['f32', 's16', 's16-deflate'];
+
+const DEFLATE_VERSION = 1;
+
+/* ------------ names ------------ */
+// An encoding to record with; checked when the recorder is created, so a browser that
+// can't compress fails there and not on the first chunk write
+export function normalizeEncoding(encoding = 'f32') {
+  if (!PCM_ENCODINGS.includes(encoding)) throw new NotSupportedError(`Unknown PCM encoding: ${encoding}`);
+  if (encoding === 's16-deflate' && !supportsDeflateRaw()) {
+    throw new NotSupportedError("This browser can't compress audio (CompressionStream 'deflate-raw'); use encoding 's16'", { encoding });
+  }
+  return encoding;
+}
+
+function supportsDeflateRaw() {
+  try {
+    new CompressionStream('deflate-raw');
+    new DecompressionStream('deflate-raw');
+    return true;
+  } catch { return false; }
+}
+
+export const pcmFormat = (encoding) => `pcm-${encoding}`;
+export const isPcmFormat = (format) => typeof format === 'string' && format.startsWith('pcm-') && PCM_ENCODINGS.includes(format.slice(4));
+// manifest.format → encoding; anything else is treated as the original Float32
+export const encodingOf = (format) => isPcmFormat(format) ? format.slice(4) : 'f32';
+
+// Stored size before compression; byte limits and rollover budget with this
+export const bytesPerSample = (encoding) => encoding === 'f32' ? Float32Array.BYTES_PER_ELEMENT : Int16Array.BYTES_PER_ELEMENT;
+
+/* ------------ samples ------------ */
+// Same mapping as the WAV export, so a stored 's16' chunk exports bit-identical
+export function floatToInt16(s) {
+  const v = Math.max(-1, Math.min(1, s || 0));
+  return Math.round(v < 0 ? v * 0x8000 : v * 0x7FFF);
+}
+export const int16ToFloat = (v) => v < 0 ? v / 0x8000 : v / 0x7FFF;
+
+function toInt16(samples) {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = floatToInt16(samples[i]);
+  return out;
+}
+function fromInt16(ints) {
+  const out = new Float32Array(ints.length);
+  for (let i = 0; i < ints.length; i++) out[i] = int16ToFloat(ints[i]);
+  return out;
+}
+
+/* ------------ encode / decode ------------ */
+// samples: Float32Array in the stored layout; stride: samples between two of the same
+// channel (interleaved: channels, planar or mono: 1). Resolves to an ArrayBuffer.
+export async function encodePcm(samples, encoding, { stride = 1 } = {}) {
+  if (encoding === 'f32') return samples.slice().buffer;
+  if (encoding === 's16') return toInt16(samples).buffer;
+  if (encoding === 's16-deflate') return codecWorker() ? callWorker('encode', samples, encoding, { stride }) : deflateS16(samples, stride);
+  throw new NotSupportedError(`Unknown PCM encoding: ${encoding}`);
+}
+
+// ArrayBuffer of one stored chunk → Float32Array
+export async function decodePcm(buffer, encoding = 'f32') {
+  if (encoding === 'f32') return new Float32Array(buffer);
+  if (encoding === 's16') return fromInt16(new Int16Array(buffer));
+  if (encoding === 's16-deflate') return codecWorker() ? new Float32Array(await callWorker('decode', buffer, encoding)) : inflateS16(buffer);
+  throw new NotSupportedError(`Unknown PCM encoding: ${encoding}`);
+}
+
+/* ------------ lossless (s16-deflate) ------------ */
+// Exported for pcm-codec.worker.js; other callers go through encodePcm / decodePcm.
+export async function deflateS16(samples, stride = 1) {
+  const ints = toInt16(samples);
+  const n = ints.length;
+  const planes = new Uint8Array(n * 2); // low bytes, then high bytes
+  for (let i = 0; i < n; i++) {
+    const d = (ints[i] - (i >= stride ? ints[i - stride] : 0)) & 0xFFFF; // wraps, so always reversible
+    planes[i] = d & 0xFF;
+    planes[n + i] = d >> 8;
+  }
+  const packed = new Uint8Array(await pipe(planes, new CompressionStream('deflate-raw')));
+  const out = new Uint8Array(2 + packed.byteLength);
+  out[0] = DEFLATE_VERSION;
+  out[1] = stride;
+  out.set(packed, 2);
+  return out.buffer;
+}
+
+export async function inflateS16(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] !== DEFLATE_VERSION) throw new NotSupportedError(`Unknown s16-deflate chunk version: ${bytes[0]}`);
+  const stride = bytes[1] || 1;
+  const planes = new Uint8Array(await pipe(bytes.subarray(2), new DecompressionStream('deflate-raw')));
+  const n = planes.length >> 1;
+  const ints = new Int16Array(n);
+  for (let i = 0; i < n; i++) {
+    const d = planes[i] | (planes[n + i] << 8);
+    ints[i] = (i >= stride ? ints[i - stride] : 0) + d; // Int16Array wraps back
+  }
+  return fromInt16(ints);
+}
+
+const pipe = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+/* ------------ worker ------------ */
+// One worker per page, started on first use; null where workers are missing or failed,
+// then the codec runs in-process. Calls still waiting on a worker that failed are
+// redone in-process too.
+let worker;
+let callWorker;
+
+function codecWorker() {
+  if (worker !== undefined) return worker;
+  worker = null;
+  if (typeof Worker === 'undefined') return worker;
+  try {
+    worker = new Worker(new URL('./pcm-codec.worker.js', import.meta.url), { type: 'module' });
+  } catch (e) { console.warn('PCM codec worker unavailable, encoding in-process', e); return worker; }
+  callWorker = connectWorker(worker, {
+    label: 'PCM codec worker',
+    onFailure(e, calls) {
+      console.warn('PCM codec worker failed, encoding in-process', e.message || e);
+      try { worker.terminate(); } catch {}
+      worker = null;
+      for (const p of calls) runInProcess(p.op, p.args).then(p.resolve, p.reject);
+    }
+  });
+  return worker;
+}
+
+// the worker's ops, with the same results
+function runInProcess(op, [data, , { stride = 1 } = {}]) {
+  return op === 'encode' ? deflateS16(data, stride) : inflateS16(data).then(f => f.buffer);
+}
@@ -0,0 +1,20 @@
+// web/record-ver2.0/js/pcm-codec.worker.js
+// Dedicated worker behind pcm-codec.js: runs the compressed encodings off the page's
+// thread. Answers { id, op: 'encode' | 'decode', args } with { id, result } (an
+// ArrayBuffer) or { id, error: { name, message } }.
+import { deflateS16, inflateS16 } from './pcm-codec.js';
+
+const ops = {
+  encode: (samples, encoding, { stride = 1 } = {}) => deflateS16(samples, stride),
+  decode: async (buffer) => (await inflateS16(buffer)).buffer
+};
+
+self.onmessage = async ({ data: { id, op, args = [] } }) => {
+  try {
+    if (!ops[op] || args[1] !== 's16-deflate') throw new Error(`Unsupported codec call: ${op} ${args[1]}`);
+    const result = await ops[op](...args);
+    self.postMessage({ id, result }, [result]);
+  } catch (e) {
+    self.postMessage({ id, error: { name: e?.name || 'Error', message: e?.message || String(e) } });
+  }
+};
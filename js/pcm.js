@@ -0,0 +1,158 @@
+// web/record-ver2.0/js/pcm.js
+// PCM helpers shared by the recorder, player and export:
+// channel layout conversion, chunk decoding, multi-track mixdown, stitching rollover
+// parts and 16-bit WAV encoding.
+// Layouts: 'interleaved' [L0 R0 L1 R1 …] or 'planar' per chunk [L0 L1 … R0 R1 …].
+// Chunks are stored in the manifest's encoding (pcm-f32 / pcm-s16 / pcm-s16-deflate,
+// see ./pcm-codec.js) and decoded back to Float32 here.
+import { decodePcm, encodingOf, floatToInt16 } from './pcm-codec.js';
+import { NotSupportedError } from './errors.js';
+
+const MAX_WAV_BYTES = 0xFFFFFFFF; // RIFF sizes are 32-bit
+
+/* ------------ manifest ------------ */
+export function pcmLayout(manifest) {
+  return {
+    channels: Math.max(1, Number(manifest?.channels) || 1),
+    layout: manifest?.layout === 'planar' ? 'planar' : 'interleaved',
+    sampleRate: manifest?.sampleRate || 48000
+  };
+}
+
+/* ------------ layout conversion ------------ */
+export function toPlanar(interleaved, channels) {
+  if (channels <= 1) return interleaved;
+  const frames = Math.floor(interleaved.length / channels);
+  const out = new Float32Array(frames * channels);
+  for (let c = 0; c < channels; c++) {
+    const base = c * frames;
+    for (let i = 0; i < frames; i++) out[base + i] = interleaved[i * channels + c];
+  }
+  return out;
+}
+
+export function toInterleaved(planar, channels) {
+  if (channels <= 1) return planar;
+  const frames = Math.floor(planar.length / channels);
+  const out = new Float32Array(frames * channels);
+  for (let c = 0; c < channels; c++) {
+    const base = c * frames;
+    for (let i = 0; i < frames; i++) out[i * channels + c] = planar[base + i];
+  }
+  return out;
+}
+
+/* ------------ chunks → samples ------------ */
+// Decodes chunks and concatenates them into one interleaved Float32 buffer
+export async function decodePcmChunks(chunks, manifest) {
+  const { channels, layout, sampleRate } = pcmLayout(manifest);
+  const encoding = encodingOf(manifest?.format);
+  let total = 0;
+  const parts = [];
+  for (const c of chunks) {
+    const raw = await decodePcm(await c.blob.arrayBuffer(), encoding);
+    const f32 = layout === 'planar' ? toInterleaved(raw, channels) : raw;
+    total += f32.length;
+    parts.push(f32);
+  }
+  return { samples: concatSamples(parts, total), channels, sampleRate };
+}
+
+function concatSamples(parts, total) {
+  const samples = new Float32Array(total);
+  let off = 0; for (const p of parts) { samples.set(p, off); off += p.length; }
+  return samples;
+}
+
+/* ------------ tracks ------------ */
+// Tracks of a recording: manifest.tracks, or the single implicit track 0
+export function pcmTracks(manifest) {
+  return manifest?.tracks?.length ? manifest.tracks : [{ index: 0, name: 'Track 1' }];
+}
+
+// Which tracks are heard: any solo wins, otherwise everything not muted
+export function audibleTracks(count, { mute = [], solo = [] } = {}) {
+  const heard = [];
+  for (let t = 0; t < count; t++) if (solo.length ? solo.includes(t) : !mute.includes(t)) heard.push(t);
+  return heard;
+}
+
+// Mixes decoded tracks (same channel count, shared clock) into one buffer. Each track
+// is scaled by 1/N, so the mix never clips where none of the tracks does.
+export function mixTracks(tracks) {
+  const out = new Float32Array(Math.max(0, ...tracks.map(t => t.length)));
+  const scale = 1 / Math.max(1, tracks.length);
+  for (const t of tracks) for (let i = 0; i < t.length; i++) out[i] += t[i] * scale;
+  return out;
+}
+
+// chunksByTrack[t] = that track's chunks (storage.getChunksWithTiming(id, { track: t }))
+export async function buildMixdownWavUrl(chunksByTrack, manifest, { mute = [], solo = [] } = {}) {
+  const { channels, sampleRate } = pcmLayout(manifest);
+  const heard = audibleTracks(chunksByTrack.length, { mute, solo });
+  const decoded = await Promise.all(heard.map(t => decodePcmChunks(chunksByTrack[t], manifest)));
+  const wav = pcm16Wav(mixTracks(decoded.map(d => d.samples)), sampleRate, channels);
+  return URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+}
+
+/* ------------ rollover parts ------------ */
+// Parts of one rolled-over session, ordered by part: [{ manifest, chunksByTrack }].
+// Each part is decoded (multi-track: mixed like buildMixdownWavUrl) and kept as 16-bit
+// only, one part at a time; the WAV is a Blob of those segments behind one header.
+// Parts are cut on exact frames, so nothing is added or lost in between. Rejects with
+// NotSupportedError when the session is too long for one WAV file (4 GiB).
+export async function buildStitchedWavUrl(parts, { mute = [], solo = [] } = {}) {
+  const { channels, sampleRate } = pcmLayout(parts[0]?.manifest);
+  const segments = [];
+  let dataSize = 0;
+  for (const { manifest, chunksByTrack } of parts) {
+    const heard = audibleTracks(chunksByTrack.length, { mute, solo });
+    const tracks = await Promise.all(heard.map(t => decodePcmChunks(chunksByTrack[t], manifest)));
+    const pcm = int16Bytes(mixTracks(tracks.map(d => d.samples)));
+    dataSize += pcm.byteLength;
+    if (44 + dataSize > MAX_WAV_BYTES) throw new NotSupportedError('The session is too long for one WAV file; export its parts one by one');
+    segments.push(pcm);
+  }
+  return URL.createObjectURL(new Blob([wavHeader(dataSize, sampleRate, channels), ...segments], { type: 'audio/wav' }));
+}
+
+/* ------------ WAV ------------ */
+export function pcm16Wav(interleaved, sampleRate, numChannels = 1) {
+  const wav = new Uint8Array(44 + interleaved.length * 2);
+  wav.set(new Uint8Array(wavHeader(interleaved.length * 2, sampleRate, numChannels)));
+  wav.set(new Uint8Array(int16Bytes(interleaved)), 44);
+  return wav.buffer;
+}
+
+// 44-byte header of a 16-bit PCM WAV with `dataSize` bytes of samples
+function wavHeader(dataSize, sampleRate, numChannels) {
+  const blockAlign = numChannels * 2;
+  const byteRate = sampleRate * blockAlign;
+  const buffer = new ArrayBuffer(44);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'RIFF'); view.setUint32(4, 36 + dataSize, true); writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true); view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true); view.setUint16(32, blockAlign, true); view.setUint16(34, 16, true);
+  writeString(view, 36, 'data'); view.setUint32(40, dataSize, true);
+  return buffer;
+}
+
+// Float32 samples → little-endian 16-bit sample bytes
+function int16Bytes(samples) {
+  const buffer = new ArrayBuffer(samples.length * 2);
+  const view = new DataView(buffer);
+  for (let i = 0; i < samples.length; i++) view.setInt16(i * 2, floatToInt16(samples[i]), true);
+  return buffer;
+}
+
+export async function buildWavUrl(chunks, manifest) {
+  const { samples, channels, sampleRate } = await decodePcmChunks(chunks, manifest);
+  const wav = pcm16Wav(samples, sampleRate, channels);
+  return URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+}
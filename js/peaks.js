@@ -0,0 +1,69 @@
+// web/record-ver2.0/js/peaks.js
+// Waveform peak summaries. The recorder computes min/max/RMS per PEAK_BIN_MS bin
+// (all channels together) for every slice it writes; storage keeps them next to
+// the chunk so overviews never need to load or decode audio.
+
+export const PEAK_BIN_MS = 10;
+
+// interleaved: Float32Array, channels wide → { binMs, frames, min, max, rms }
+export function computePeaks(interleaved, channels, sampleRate) {
+  const binFrames = Math.max(1, Math.round(sampleRate * PEAK_BIN_MS / 1000));
+  const frames = Math.floor(interleaved.length / channels);
+  const bins = Math.ceil(frames / binFrames);
+  const min = new Float32Array(bins), max = new Float32Array(bins), rms = new Float32Array(bins);
+
+  for (let b = 0; b < bins; b++) {
+    const from = b * binFrames * channels;
+    const to = Math.min(frames, (b + 1) * binFrames) * channels;
+    let lo = Infinity, hi = -Infinity, sq = 0;
+    for (let i = from; i < to; i++) {
+      const v = interleaved[i];
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+      sq += v * v;
+    }
+    min[b] = lo; max[b] = hi; rms[b] = Math.sqrt(sq / (to - from));
+  }
+  return { binMs: PEAK_BIN_MS, frames, min, max, rms };
+}
+
+// Joins per-chunk peak rows (ordered by index) into one overview, optionally
+// clipped to [fromMs, toMs) and reduced to `bins` buckets.
+// Returns { binMs, startMs, endMs, min, max, rms } or null when there is nothing.
+export function mergePeaks(rows, { fromMs = -Infinity, toMs = Infinity, bins = 0 } = {}) {
+  const min = [], max = [], rms = [];
+  let binMs = PEAK_BIN_MS, startMs = null, endMs = null;
+
+  for (const r of rows) {
+    if (!r || r.endMs <= fromMs || r.startMs >= toMs) continue;
+    binMs = r.binMs;
+    for (let i = 0; i < r.min.length; i++) {
+      const at = r.startMs + i * r.binMs;
+      if (at + r.binMs <= fromMs || at >= toMs) continue;
+      if (startMs === null) startMs = at;
+      endMs = Math.min(at + r.binMs, r.endMs);
+      min.push(r.min[i]); max.push(r.max[i]); rms.push(r.rms[i]);
+    }
+  }
+  if (startMs === null) return null;
+
+  const overview = { binMs, startMs, endMs, min: Float32Array.from(min), max: Float32Array.from(max), rms: Float32Array.from(rms) };
+  return bins > 0 && bins < min.length ? reducePeaks(overview, bins) : overview;
+}
+
+function reducePeaks({ startMs, endMs, min, max, rms }, bins) {
+  const out = { binMs: (endMs - startMs) / bins, startMs, endMs,
+    min: new Float32Array(bins), max: new Float32Array(bins), rms: new Float32Array(bins) };
+  const per = min.length / bins;
+  for (let b = 0; b < bins; b++) {
+    const from = Math.floor(b * per), to = Math.max(from + 1, Math.floor((b + 1) * per));
+    let lo = Infinity, hi = -Infinity, sq = 0;
+    for (let i = from; i < to; i++) {
+      if (min[i] < lo) lo = min[i];
+      if (max[i] > hi) hi = max[i];
+      sq += rms[i] * rms[i];
+    }
+    out.min[b] = lo; out.max[b] = hi; out.rms[b] = Math.sqrt(sq / (to - from));
+  }
+  return out;
+}
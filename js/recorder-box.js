@@ -1,14 +1,262 @@
 // web/record-ver2.0/js/recorder-box.js
-// PCM recorder (no MediaRecorder). Captures Float32 PCM via ScriptProcessorNode,
-// chunks by time, stores in IndexedDB, and emits UI events.
-// Events: 'status' {status}, 'meter' {rms,peak}, 'chunk' {size,index}, 'stats' {durationMs,chunkCount,bytes}
+// Recorder entry point. createRecorderBox() picks an engine from the requested format:
+//  - PCM (audio/wav, audio/pcm): Float32 PCM captured off the main thread via an
+//    AudioWorklet (ScriptProcessorNode fallback when audioWorklet is missing)
+//  - encoded (webm/opus, mp4): MediaRecorder, see ./adapters/recorder-box.js
+// Both chunk by time, store in IndexedDB, and emit the same UI events.
+// Events: 'status' {status}, 'meter' {rms,peak}, 'chunk' {size,index}, 'stats' {durationMs,chunkCount,bytes},
+//         'error' {code,message,deviceId}, 'marker' {id,label,frame,atMs,at,data},
+//         'vad' {state,db,atMs} (PCM, with the vad option; status carries reason:'vad' on auto pause/resume)
+//         'loudness' {momentaryLufs,shortTermLufs,integratedLufs,truePeakDbtp,samplePeakDbfs,clipCount} (PCM),
+//         'source' {source,state:'ended'} when a tab/system audio share is stopped,
+//         'limit' {limit,recordingId} when maxDurationMs / maxBytes / stopAt ended the session
+//         (stats then also carry remainingMs / remainingBytes),
+//         'rollover' {previousId,recordingId,sessionId,part} once a finished part is stored (PCM),
+//         'quota' {level:'warn'|'stop',available,usage,quota,recordingId} when free storage runs low
+// Statuses follow the state machine in ./state.js: idle → requesting → recording ⇄ paused
+// → finalizing → ready → idle; 'interrupted' while the input (or the AudioContext) is gone,
+// 'error' once storage or the audio graph failed. Calls the current state does not allow
+// reject with an InvalidStateError; every failure is a typed error (./errors.js), also
+// emitted as 'error'. getState() returns { state, reason, recordingId, stats, … }.
+// 'ready', and the 'idle' right after it, carry reason 'limit' / 'source-ended' when the
+// session was not ended by stop().
+// Facade only: 'scheduled' {startAt} while a startAt option waits to start the session.
+// PCM only: idle → requesting → armed (mic open, pre-roll ring buffer filling) → recording.
+// PCM only: `processors` runs a DSP chain (./dsp.js) on captured samples before they are chunked.
+// `sources` adds tab/system audio next to (or instead of) the mic, see ./sources.js.
+// `tracks` records several input devices at once, one mono track each, on one sample clock;
+// every slice is stored once per track under the same chunk index.
+// PCM only: `rolloverMs` / `rolloverBytes` split a long session into linked recordings
+// (previousId / nextId in each manifest) on the exact frame; stitch them with pcm.js.
+// PCM only: `encoding` picks how chunks are stored (./pcm-codec.js): 's16' (default, half
+// of Float32), 's16-deflate' (lossless compression in a worker) or 'f32'; saved in the
+// manifest as format 'pcm-<encoding>'.
+// Both engines store every chunk with its SHA-256 and keep a hash chain per track in the
+// manifest (`integrity`), see ./integrity.js for verify/repair.
+// Both engines watch free storage while recording (./storage-health.js): 'quota' warns at
+// quotaWarnBytes left and the session ends as limit 'storage-low' at quotaStopBytes.
 
-export async function createRecorderBox({
+import { createMediaRecorderBox } from './adapters/recorder-box.js';
+import { toPlanar } from './pcm.js';
+import { encodePcm, normalizeEncoding, pcmFormat, bytesPerSample } from './pcm-codec.js';
+import { holdSessionLock, markRecovered } from './recovery.js';
+import { listInputDevices, openInputStream, describeInput, watchInput, watchContext } from './devices.js';
+import { createVad } from './vad.js';
+import { createProcessorChain } from './dsp.js';
+import { createLoudnessMeter } from './loudness.js';
+import { computePeaks } from './peaks.js';
+import { sha256Hex, createHashChain } from './integrity.js';
+import { normalizeSources, activeSources, openDisplayStream, watchDisplay, createSourceMixer, createMixer } from './sources.js';
+import { normalizeLimits, normalizeRollover, hasLimits, remaining, scheduleAt } from './limits.js';
+import { createQuotaGuard, QUOTA_WARN_BYTES, QUOTA_STOP_BYTES } from './storage-health.js';
+import { createStateMachine } from './state.js';
+import { RecorderError, InvalidStateError, NotSupportedError, StorageError, InputError, fromMediaError } from './errors.js';
+
+export { listInputDevices };
+
+/* ------------ engine selection ------------ */
+// The engine is built for the current format and rebuilt on the next start()
+// after configure() changes it. Listeners carry over between engines.
+export async function createRecorderBox({ mimeType = 'audio/wav', ...opts } = {}) {
+  const listeners = new Map();
+  let config = { ...opts, mimeType };
+  let engine = null;
+  let stale = true;
+  let status = 'idle';
+
+  let scheduledAt = null; // pending startAt (ms)
+  let cancelScheduled = () => {};
+
+  const trackStatus = ({ status: s }) => { status = s; };
+  // no session, no open mic: settings may change, a schedule may wait
+  const settled = () => status === 'idle' || status === 'ready' || status === 'error';
+  const emitLocal = (ev, payload) => (listeners.get(ev) || []).forEach(fn => fn(payload));
+
+  function attach(box) {
+    box.on('status', trackStatus);
+    for (const [ev, fns] of listeners) fns.forEach(fn => box.on(ev, fn));
+  }
+  function detach(box) {
+    box.off('status', trackStatus);
+    for (const [ev, fns] of listeners) fns.forEach(fn => box.off(ev, fn));
+  }
+
+  async function ensureEngine() {
+    if (engine && !stale) return engine;
+    if (config.tracks?.length && !isPcmMimeType(config.mimeType)) {
+      throw new NotSupportedError('Multi-track sessions are only available for WAV (PCM) recordings');
+    }
+    if ((config.rolloverMs || config.rolloverBytes) && !isPcmMimeType(config.mimeType)) {
+      // MediaRecorder can't cut a file without a gap
+      throw new NotSupportedError('Rollover is only available for WAV (PCM) recordings');
+    }
+    const create = isPcmMimeType(config.mimeType) ? createPcmRecorderBox : createMediaRecorderBox;
+    const next = await create(config);
+    if (engine) detach(engine);
+    engine = next;
+    stale = false;
+    attach(engine);
+    return engine;
+  }
+
+  const on  = (ev, fn) => {
+    if (!listeners.has(ev)) listeners.set(ev, new Set());
+    listeners.get(ev).add(fn);
+    engine?.on(ev, fn);
+  };
+  const off = (ev, fn) => { listeners.get(ev)?.delete(fn); engine?.off(ev, fn); };
+
+  function configure(patch = {}) {
+    if (!settled()) throw new InvalidStateError('change settings', status);
+    config = { ...config, ...patch };
+    stale = true;
+    armSchedule();
+  }
+
+  // startAt: wait in a facade-level 'scheduled' status, then start() on time.
+  // A past or cleared startAt drops back to the engine's status.
+  function armSchedule() {
+    cancelScheduled();
+    cancelScheduled = () => {};
+    const at = config.startAt instanceof Date ? config.startAt.getTime() : Number(config.startAt) || null;
+    const was = scheduledAt;
+    scheduledAt = at && at > Date.now() && settled() ? at : null;
+    if (!scheduledAt) {
+      if (was) emitLocal('status', { status });
+      return;
+    }
+    cancelScheduled = scheduleAt(scheduledAt, () => {
+      start().catch((e) => {
+        console.error(e);
+        emitLocal('status', { status });
+        emitLocal('error', new RecorderError('scheduled-start-failed', `Scheduled start failed: ${e.message || e}`, { cause: e }));
+      });
+    });
+    emitLocal('status', { status: 'scheduled', startAt: scheduledAt });
+  }
+
+  async function start() {
+    // starting (by hand or on schedule) uses the schedule up
+    if (scheduledAt || config.startAt) {
+      cancelScheduled();
+      scheduledAt = null;
+      config = { ...config, startAt: null };
+    }
+    return (await ensureEngine()).start();
+  }
+  async function pause()  { return engine?.pause(); }
+  async function resume() { return engine?.resume(); }
+  async function stop() {
+    // stop() while scheduled calls the schedule off
+    if (scheduledAt) { configure({ startAt: null }); return; }
+    return engine?.stop();
+  }
+
+  async function mark(label, data) { return engine?.mark(label, data) ?? null; }
+
+  async function arm() {
+    const box = await ensureEngine();
+    if (!box.arm) throw new NotSupportedError('Pre-roll is only available for WAV (PCM) recordings');
+    return box.arm();
+  }
+  async function disarm() { return engine?.disarm?.(); }
+
+  // Applies to the running session (hot-swap) and to every later one
+  async function setDevice(deviceId) {
+    config = { ...config, deviceId: deviceId || null };
+    return engine?.setDevice(deviceId);
+  }
+
+  // Live per-source gain ('mic' | 'display'); kept for later sessions too.
+  // { save: false } only moves the level (a slider being dragged); the session logs
+  // and saves it on the next call without it.
+  async function setSourceGain(name, gain, opts) {
+    const cur = config.sources || { mic: true };
+    if (cur[name]) {
+      config = { ...config, sources: { ...cur, [name]: { ...(typeof cur[name] === 'object' ? cur[name] : {}), gain: Number(gain) } } };
+    }
+    return engine?.setSourceGain(name, gain, opts);
+  }
+
+  // Live gain of one track in a multi-track session; { save } as for setSourceGain
+  async function setTrackGain(track, gain, opts) {
+    if (config.tracks?.[track]) {
+      config = { ...config, tracks: config.tracks.map((t, i) => i === track ? { ...t, gain: Number(gain) } : t) };
+    }
+    return engine?.setTrackGain?.(track, gain, opts);
+  }
+
+  // The engine's state and stats; 'scheduled' while a startAt waits
+  function getState() {
+    const state = engine.getState();
+    return {
+      ...state,
+      engine: isPcmMimeType(config.mimeType) ? 'pcm' : 'media-recorder',
+      ...(scheduledAt ? { state: 'scheduled', startAt: scheduledAt } : {})
+    };
+  }
+
+  await ensureEngine(); // surface capability errors at boot
+  armSchedule();
+
+  return {
+    on, off, start, pause, resume, stop, configure, mark, arm, disarm, getState,
+    listDevices: listInputDevices, setDevice, setSourceGain, setTrackGain,
+    get engine() { return isPcmMimeType(config.mimeType) ? 'pcm' : 'media-recorder'; },
+    get scheduledAt() { return scheduledAt; }
+  };
+}
+
+export function isPcmMimeType(mimeType) {
+  return !mimeType || /^audio\/(wav|wave|x-wav|pcm)\b/i.test(mimeType);
+}
+
+/* ------------ PCM engine ------------ */
+// The frame count is the session clock: chunk timing, durationMs and the manifest
+// `segments` (one per run between start/resume and pause/stop) all derive from it.
+export async function createPcmRecorderBox({
   storage,
   chunkSeconds = 2,
-  channels = 1 // we downmix to mono for storage/playback simplicity
+  channels = 1,           // 1 = downmix every input channel to mono; N = keep the first N channels
+  layout = 'interleaved', // storage layout for N > 1: 'interleaved' | 'planar' (per chunk)
+  encoding = 's16',       // chunk storage encoding: 's16' | 's16-deflate' | 'f32' (./pcm-codec.js)
+  deviceId = null,        // input device; null = browser default
+  preRollSeconds = 5,     // while armed, how much audio before start() is kept
+  vad = null,             // voice-activity detection: true or options for createVad(); null = off
+  processors = [],        // DSP chain specs for createProcessorChain(), applied before slicing
+  sources = null,         // { mic, display, separate } (see ./sources.js); null = mic only
+  tracks = null,          // multi-track: [{ deviceId, label, gain }], one mono track per device
+  maxDurationMs = null,   // limits (./limits.js); null = none. Duration and bytes stop on the exact frame
+  maxBytes = null,        // stored bytes; 's16-deflate' stops after the chunk that reaches it
+  stopAt = null,          // wall-clock stop time (ms or Date)
+  rolloverMs = null,      // start a new linked recording every N ms / N bytes; null = one recording
+  rolloverBytes = null,   // stored bytes; 's16-deflate' rolls after the chunk that reaches it
+  quotaWarnBytes = QUOTA_WARN_BYTES, // free storage left at which to warn / end the session; null = off
+  quotaStopBytes = QUOTA_STOP_BYTES
 } = {}) {
-  if (!navigator.mediaDevices?.getUserMedia) throw new Error('getUserMedia not supported');
+  if (!navigator.mediaDevices?.getUserMedia) throw new NotSupportedError('getUserMedia not supported');
+
+  const sourceCfg = normalizeSources(sources);
+  const trackSpecs = Array.isArray(tracks) && tracks.length
+    ? tracks.map((t, i) => ({
+        deviceId: t?.deviceId || null,
+        label: t?.label || `Track ${i + 1}`,
+        gain: Number.isFinite(Number(t?.gain)) ? Number(t.gain) : 1
+      }))
+    : null;
+  if (trackSpecs && sourceCfg.display) throw new NotSupportedError('Tab/system audio cannot be combined with multi-track sessions');
+  // separate sources / tracks: one mono channel each while capturing, whatever `channels` says
+  const storeChannels = trackSpecs ? trackSpecs.length
+    : sourceCfg.separate ? activeSources(sourceCfg).length
+    : Math.max(1, Math.min(32, Math.floor(Number(channels)) || 1));
+  const storeLayout = layout === 'planar' ? 'planar' : 'interleaved';
+  const storeEncoding = normalizeEncoding(encoding);
+  // for exact rollover and byte limits; 's16-deflate' only knows its size once stored
+  const compressed = storeEncoding === 's16-deflate';
+  const bytesPerFrame = bytesPerSample(storeEncoding) * storeChannels;
+  const limitCfg = normalizeLimits({ maxDurationMs, maxBytes, stopAt });
+  const rolloverCfg = normalizeRollover({ rolloverMs, rolloverBytes });
+  createProcessorChain(processors); // unknown stage types fail here, not mid-session
 
   /* ------------ tiny event bus ------------ */
   const listeners = new Map();
@@ -17,45 +265,92 @@ export async function createRecorderBox({
   const emit = (ev, payload) => (listeners.get(ev) || []).forEach(fn => fn(payload));
 
   /* ------------ session state ------------ */
-  let status = 'idle';
+  const fsm = createStateMachine((s) => emit('status', s));
+  let status = fsm.state; // mirrors fsm.state
   let currentId = null;
   let chunkIndex = 0;
-  let startTs = 0;        // wall clock start
-  let pausedAccum = 0;
-  let pauseTs = 0;
+  let startTs = 0;        // wall clock start (row timestamps only; timing is frame-based)
+  let manifest = null;    // kept in memory, rewritten on every timeline change
+  let segments = [];      // contiguous captured runs; a pause sits between two segments
+  let events = [];        // device changes / interruptions, at session-clock offsets
+  let markers = [];       // user markers, at session-clock offsets
+  let resumeTo = 'recording'; // status to return to once an interrupted input is replaced
+  let interruptedBy = null;   // error code of the interruption in progress
+  let failedSession = null;   // sessionId whose queued writes are dropped after a failure
   let stats = { durationMs: 0, chunkCount: 0, bytes: 0 };
+  const storedBytes = new Map(); // recordingId -> bytes stored (the row's `bytes`)
+  const hashChains = new Map();  // recordingId -> createHashChain() (manifest.integrity)
   let statsTimer = 0;
 
   /* ------------ audio graph ------------ */
-  let stream = null;
+  let stream = null;        // microphone
+  let displayStream = null; // tab/system audio share
   let ctx = null;
   let src = null;
+  let mixer = null;         // per-source gains → one capture input
+  let trackStreams = [];    // multi-track: one stream per track, in track order
+  let lostTracks = new Set();
+  let unwatchTracks = [];
   let analyser = null;
-  let proc = null;
+  let proc = null;         // AudioWorkletNode or ScriptProcessorNode
+  let engine = null;       // 'worklet' | 'script-processor'
   let meterRAF = 0;
+  let unwatchInput = () => {};
+  let unwatchDisplay = () => {};
+  let unwatchContext = () => {};
 
   /* ------------ PCM accumulation ------------ */
   let sampleRate = 48000;
   let sliceFramesTarget = 48000 * Math.max(0.25, Number(chunkSeconds) || 2); // min 250ms slice
   sliceFramesTarget = Math.round(sliceFramesTarget / 128) * 128; // align to 128 frames
-  let accum = new Float32Array(0); // mono accumulation buffer
+  let accum = new Float32Array(0); // interleaved accumulation buffer (storeChannels wide)
+  let framesWritten = 0;  // frames stored as chunks
+  let capturedFrames = 0; // frames handed to ingest(): the session clock
+  let inputChannels = 0;
   let isPaused = false;
+  let flushChain = Promise.resolve(); // serializes chunk writes
+  let drainWaiters = [];
+  let releaseSessionLock = () => {};
+  let ring = null;        // pre-roll ring buffer, only while armed
+  let originFrame = 0;    // first stored frame on the session clock (negative with pre-roll)
+  let detector = null;    // per-session VAD
+  let vadSegments = [];   // speech/silence runs; silence cut by auto-pause shows in wall time only
+  let vadPaused = false;  // paused by the VAD (auto-resumes), as opposed to the user
+  let chain = null;       // DSP chain, rebuilt per graph (stage state is sample-rate bound)
+  let loudness = null;    // per-session loudness meter over the stored samples
+  let limitFrames = null; // frame budget from maxDurationMs / maxBytes, whichever is smaller
+  let limitKind = null;   // which of the two that budget came from
+  let limitHit = null;    // set once a limit is reached; capture stops counting
+  let cancelStopAt = () => {};
+  let ending = null;      // in-flight endSession(), so a limit and stop() can't race
+  const quotaGuard = createQuotaGuard({
+    warnBytes: quotaWarnBytes,
+    stopBytes: quotaStopBytes,
+    onWarn: (h) => emit('quota', { level: 'warn', ...h, recordingId: currentId }),
+    onStop: (h) => { emit('quota', { level: 'stop', ...h, recordingId: currentId }); reachLimit('storage-low'); }
+  });
+  let sessionId = null;   // rollover: id of the first part; parts share it
+  let part = 1;
+  let partStartFrame = 0; // session-clock frame the current part starts at
+  let partFrames = null;  // rollover frame budget per part
+  let rollDue = false;    // compressed: the part's stored bytes reached rolloverBytes
 
-  function setStatus(s) { status = s; emit('status', { status: s }); }
+  function setStatus(s, reason) { status = fsm.to(s, reason); }
 
   /* ------------ stats + meter ------------ */
   function startStats() {
     statsTimer = setInterval(() => {
       if (status === 'recording') {
-        stats.durationMs = Date.now() - startTs - pausedAccum;
-        emit('stats', { ...stats });
+        stats.durationMs = framesToMs(capturedFrames - originFrame, sampleRate);
+        emit('stats', hasLimits(limitCfg) ? { ...stats, ...remaining(limitCfg, stats) } : { ...stats });
+        if (loudness) emit('loudness', loudness.snapshot());
       }
     }, 250);
   }
   function stopStats() { if (statsTimer) clearInterval(statsTimer); statsTimer = 0; }
 
   function startMeter() {
-    if (!analyser) return;
+    if (!analyser || meterRAF) return;
     const buf = new Float32Array(analyser.fftSize || 2048);
     const tick = () => {
       analyser.getFloatTimeDomainData(buf);
@@ -74,186 +369,941 @@ export async function createRecorderBox({
   function stopMeter() { if (meterRAF) cancelAnimationFrame(meterRAF); meterRAF = 0; }
 
   /* ------------ accumulation helpers ------------ */
-  function appendToAccum(monoChunk) {
-    const out = new Float32Array(accum.length + monoChunk.length);
+  function appendToAccum(samples) {
+    const out = new Float32Array(accum.length + samples.length);
     out.set(accum, 0);
-    out.set(monoChunk, accum.length);
+    out.set(samples, accum.length);
     accum = out;
   }
 
-  async function flushFullSlices() {
-    while (accum.length >= sliceFramesTarget) {
-      const slice = accum.subarray(0, sliceFramesTarget);
-      const copy  = new Float32Array(slice.length);
-      copy.set(slice);
+  // samples are interleaved, storeChannels wide. Processing runs on everything
+  // captured, so the ring holds processed audio and filters stay continuous.
+  function ingest(samples) {
+    if (chain) chain.process(samples);
+    if (ring) { ring.write(samples); return; }
+    accept(samples);
+  }
 
-      // shift remainder
-      const remain = new Float32Array(accum.length - sliceFramesTarget);
-      remain.set(accum.subarray(sliceFramesTarget));
-      accum = remain;
+  // already-processed samples into the session (also pre-roll / VAD lookback)
+  function accept(samples) {
+    if (!currentId || limitHit) return;
+    if (limitFrames !== null) {
+      const room = limitFrames - (capturedFrames - originFrame);
+      if (samples.length / storeChannels >= room) {
+        samples = samples.subarray(0, Math.max(0, room) * storeChannels);
+        reachLimit(limitKind);
+      }
+    }
+    // rollover: the part ends on the exact frame, the rest opens the next one
+    if (rollDue) rollPart(); // between two capture blocks
+    while (partFrames !== null) {
+      const room = partStartFrame + partFrames - capturedFrames;
+      if (samples.length / storeChannels <= room) break;
+      take(samples.subarray(0, room * storeChannels));
+      samples = samples.subarray(room * storeChannels);
+      rollPart();
+    }
+    take(samples);
+  }
 
-      const blob = new Blob([copy.buffer], { type: 'application/octet-stream' });
-      const startMs = framesToMs((chunkIndex) * sliceFramesTarget, sampleRate);
-      const endMs   = framesToMs((chunkIndex + 1) * sliceFramesTarget, sampleRate);
+  function take(samples) {
+    capturedFrames += Math.floor(samples.length / storeChannels);
+    loudness?.push(samples);
+    appendToAccum(samples);
+    queueSlices();
+  }
 
-      await storage.putChunk({
+  // Cuts whole slices off accum (with `all`, the partial rest too) and queues their
+  // writes. Recording, index and timing are fixed here, in capture order, so a
+  // rollover can switch parts while earlier writes are still pending.
+  function queueSlices(all = false) {
+    const sliceSamples = sliceFramesTarget * storeChannels;
+    while (accum.length >= sliceSamples || (all && accum.length)) {
+      const n = Math.min(sliceSamples, accum.length);
+      const slice = accum.slice(0, n);
+      accum = accum.slice(n);
+      const frames = Math.floor(n / storeChannels);
+      const at = {
+        sessionId,
         recordingId: currentId,
         index: chunkIndex++,
-        blob,
-        size: blob.size,
-        startMs,
-        endMs
-      });
-      stats.chunkCount += 1; stats.bytes += blob.size;
-      emit('chunk', { size: blob.size, index: chunkIndex - 1 });
+        startMs: framesToMs(framesWritten, sampleRate),
+        endMs: framesToMs(framesWritten + frames, sampleRate)
+      };
+      framesWritten += frames;
+      // writes run one after another, off the capture callback
+      flushChain = flushChain.then(() => writeSlice(slice, at))
+        .catch(e => failSession(new StorageError(e, { recordingId: at.recordingId })));
     }
   }
 
-  async function flushRemainderOnStop() {
-    if (accum.length === 0) return;
-    const copy = new Float32Array(accum.length);
-    copy.set(accum);
-    accum = new Float32Array(0);
-
-    const blob = new Blob([copy.buffer], { type: 'application/octet-stream' });
-    const startMs = framesToMs((chunkIndex) * sliceFramesTarget, sampleRate);
-    const endMs   = startMs + framesToMs(copy.length, sampleRate);
+  async function writeSlice(samples, at) {
+    if (at.sessionId === failedSession) return;
+    const frames = Math.floor(samples.length / storeChannels);
+    let size = 0;
+    if (trackSpecs) {
+      // one mono chunk per track, same index and timing
+      const planar = toPlanar(samples, storeChannels);
+      for (let t = 0; t < storeChannels; t++) {
+        size += await putSlice(at, t, planar.slice(t * frames, (t + 1) * frames), 1);
+      }
+    } else {
+      size = await putSlice(at, 0, samples, storeChannels);
+    }
+    stats.chunkCount += 1; stats.bytes += size;
+    storedBytes.set(at.recordingId, (storedBytes.get(at.recordingId) || 0) + size);
+    emit('chunk', { size, index: at.index });
+    if (compressed && limitCfg.maxBytes && stats.bytes >= limitCfg.maxBytes && !ending) reachLimit('max-bytes');
+    if (compressed && rolloverCfg?.everyBytes && at.recordingId === currentId && storedBytes.get(at.recordingId) >= rolloverCfg.everyBytes) rollDue = true;
+  }
 
+  // samples: interleaved, `ch` wide; stored in storeLayout with peaks alongside
+  async function putSlice({ recordingId, index, startMs, endMs }, track, samples, ch) {
+    const planar = storeLayout === 'planar' && ch > 1;
+    const data = planar ? toPlanar(samples, ch) : samples;
+    const { binMs, min, max, rms } = computePeaks(samples, ch, sampleRate);
+    const bytes = await encodePcm(data, storeEncoding, { stride: planar ? 1 : ch });
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    const sha256 = await sha256Hex(bytes);
     await storage.putChunk({
-      recordingId: currentId,
-      index: chunkIndex++,
+      recordingId,
+      track,
+      index,
       blob,
       size: blob.size,
       startMs,
-      endMs
+      endMs,
+      sha256,
+      peaks: { binMs, min, max, rms }
+    });
+    if (!hashChains.has(recordingId)) hashChains.set(recordingId, createHashChain());
+    await hashChains.get(recordingId).add(track, index, sha256);
+    return blob.size;
+  }
+
+  /* ------------ capture engines ------------ */
+  async function createCaptureNode() {
+    if (ctx.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+      await ctx.audioWorklet.addModule(new URL('./pcm-recorder.worklet.js', import.meta.url));
+      const node = new AudioWorkletNode(ctx, 'pcm-recorder', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: { blockFrames: WORKLET_BLOCK_FRAMES, channels: storeChannels, levels: !!vad }
+      });
+      node.port.onmessage = (e) => {
+        const msg = e.data || {};
+        if (msg.type === 'slice') ingest(msg.frames);
+        else if (msg.type === 'level') onLevel(msg.rms);
+        else if (msg.type === 'flushed') { drainWaiters.forEach(fn => fn()); drainWaiters = []; }
+      };
+      engine = 'worklet';
+      return node;
+    }
+
+    // ScriptProcessorNode fallback (deprecated, runs on the main thread)
+    const bufferSize = 4096; // can try 2048 if you want lower latency
+    const inChannels = Math.max(storeChannels, Math.min(32, inputChannels || 2));
+    const node = ctx.createScriptProcessor(bufferSize, inChannels, 1);
+    node.onaudioprocess = (e) => {
+      const planes = [];
+      for (let c = 0; c < e.inputBuffer.numberOfChannels; c++) planes.push(e.inputBuffer.getChannelData(c));
+      if (vad) onLevel(blockRms(planes));
+      if (isPaused) return;
+      ingest(mixToChannels(planes, storeChannels));
+    };
+    engine = 'script-processor';
+    return node;
+  }
+
+  function sendToWorklet(type) {
+    if (engine === 'worklet') proc?.port.postMessage({ type });
+  }
+
+  // Resolves once every frame captured so far has been handed to ingest(). A suspended
+  // context may never answer the flush: then it resolves at once, and the partial
+  // block lands once the context runs again.
+  function drainCapture() {
+    if (engine !== 'worklet' || !proc) return Promise.resolve();
+    if (interruptedBy === 'audio-context-suspended' || ctx?.state === 'suspended') return Promise.resolve();
+    return new Promise(resolve => {
+      drainWaiters.push(resolve);
+      proc.port.postMessage({ type: 'flush' });
     });
-    stats.chunkCount += 1; stats.bytes += blob.size;
-    emit('chunk', { size: blob.size, index: chunkIndex - 1 });
   }
 
   /* ------------ lifecycle ------------ */
-  async function beginSession() {
+  // preRoll: interleaved samples captured while armed; they become the first
+  // chunks, timed before frame 0 (the moment start() was called).
+  async function beginSession(preRoll = null) {
+    const preFrames = preRoll ? Math.floor(preRoll.length / storeChannels) : 0;
     currentId = cryptoRandomId();
+    sessionId = currentId;
+    part = 1;
     startTs = Date.now();
-    pausedAccum = 0;
     chunkIndex = 0;
     stats = { durationMs: 0, chunkCount: 0, bytes: 0 };
+    storedBytes.clear();
+    hashChains.clear();
+    rollDue = false;
     accum = new Float32Array(0);
+    originFrame = -preFrames;
+    framesWritten = originFrame;
+    capturedFrames = originFrame;
+    partStartFrame = originFrame;
+    partFrames = rolloverCfg ? partBudget() : null;
+    segments = [];
+    events = [];
+    markers = [];
     isPaused = false;
+    vadPaused = false;
+    vadSegments = [];
+    detector = vad ? createVad(vad === true ? {} : vad) : null;
+    loudness = createLoudnessMeter({ sampleRate, channels: storeChannels });
+    setupLimits();
 
-    await storage.putRecording({
-      id: currentId,
-      createdAt: startTs,
-      updatedAt: startTs,
-      mimeType: 'audio/pcm;format=f32',
-      status: 'recording',
-      durationMs: 0
-    });
+    // chunk writes wait for the recording row
+    let rowWritten;
+    flushChain = new Promise(res => { rowWritten = res; });
+    openSegment(startTs - framesToMs(preFrames, sampleRate));
 
-    await storage.setManifest(currentId, {
+    await storage.putRecording(recordingRow(currentId, startTs));
+
+    manifest = {
       recordingId: currentId,
-      format: 'pcm-f32',
-      channels: 1,
+      format: pcmFormat(storeEncoding),
+      channels: trackSpecs ? 1 : storeChannels, // per track
+      layout: storeLayout,
+      downmix: storeChannels === 1 && inputChannels > 1,
+      inputChannels,
       sampleRate,
-      chunkSeconds: Number(chunkSeconds)
-    });
+      chunkSeconds: Number(chunkSeconds),
+      device: deviceInfo(stream),
+      ...(trackSpecs ? { tracks: describeTracks() } : { sources: describeSources(), separateSources: sourceCfg.separate }),
+      processors: chain ? chain.config.map(p => ({ ...p })) : [],
+      preRoll: { frames: preFrames, ms: framesToMs(preFrames, sampleRate) },
+      timelineStartMs: framesToMs(originFrame, sampleRate), // 0, or negative with pre-roll
+      ...(detector ? { vad: { ...detector.config } } : {}),
+      ...(rolloverCfg ? { session: { id: sessionId, part }, rollover: { ...rolloverCfg } } : {})
+    };
+    if (preFrames) accept(preRoll); // may already roll over, so after the manifest exists
+    if (detector) openVadSegment('speech');
+    await saveManifest();
+    rowWritten();
+
+    releaseSessionLock = holdSessionLock(currentId, storage);
+    addEventListener('pagehide', onPageHide);
+    document.addEventListener('freeze', onPageHide);
 
     setStatus('recording');
+    sendToWorklet('start');
+    if (limitCfg.stopAt) cancelStopAt = scheduleAt(limitCfg.stopAt, () => reachLimit('stop-time'));
+    quotaGuard.start();
+    if (limitHit) endSession('limit', limitHit).catch(console.error); // pre-roll alone used the budget
     startStats();
     startMeter();
+    // e.g. a scheduled start without a user gesture: the context may never have run
+    if (ctx?.state === 'suspended') onContextState('suspended').catch(console.error);
+  }
+
+  // Storage or the audio graph failed under a live session: stop capturing, keep
+  // what is stored (marked for recovery, like a crash) and surface the cause.
+  function failSession(error) {
+    console.error(error);
+    if (!currentId || status === 'error') return;
+    const id = currentId;
+    failedSession = sessionId;
+    error.recordingId ??= id;
+    isPaused = true;
+    vadPaused = false;
+    accum = new Float32Array(0);
+    currentId = null;
+    teardown();
+    setStatus('error', error.code);
+    emit('error', error);
+    markRecovered(storage, id).catch(console.error);
   }
 
-  async function finalizeSession() {
-    const effectiveDuration = Date.now() - startTs - pausedAccum;
-    await storage.setDuration(currentId, effectiveDuration);
+  // reason: 'user' | 'limit' | 'source-ended'; kept on the recording row and in the manifest
+  async function finalizeSession(reason = 'user', limit = null) {
+    closeSegment();
+    closeVadSegment();
+    manifest.durationFrames = framesWritten - partStartFrame;
+    manifest.stop = { reason, ...(limit ? { limit } : {}), at: Date.now() };
+    await saveManifest();
+    await storage.setDuration(currentId, framesToMs(framesWritten - partStartFrame, sampleRate));
+    const rec = await storage.getRecording(currentId);
+    if (rec) await storage.putRecording({ ...rec, stopReason: reason, bytes: storedBytes.get(currentId) || 0, ...(limit ? { limit } : {}) });
     await storage.markStatus(currentId, 'ready');
-    setStatus('ready');
+    if (limit) emit('limit', { limit, recordingId: currentId });
+    setStatus('ready', reason === 'user' ? undefined : reason);
     currentId = null;
   }
 
+  function recordingRow(id, createdAt, previousId = null) {
+    return {
+      id,
+      createdAt,
+      updatedAt: createdAt,
+      mimeType: `audio/pcm;format=${storeEncoding}`,
+      status: 'recording',
+      durationMs: 0,
+      ...(rolloverCfg ? { sessionId, part, previousId } : {})
+    };
+  }
+
+  /* ------------ rollover ------------ */
+  // Frames per part; null when only a compressed size applies (writeSlice() sets rollDue)
+  function partBudget() {
+    const budgets = [];
+    if (rolloverCfg.everyMs) budgets.push(Math.round(rolloverCfg.everyMs / 1000 * sampleRate));
+    if (rolloverCfg.everyBytes && !compressed) budgets.push(Math.floor(rolloverCfg.everyBytes / bytesPerFrame));
+    if (!budgets.length) return null;
+    return Math.max(sliceFramesTarget, Math.min(...budgets)); // never smaller than one chunk
+  }
+
+  // Closes the current part on the frame just taken and carries on in a new linked
+  // recording. Capture state switches right here; storage follows in flushChain
+  // order: the old part's last chunks, its finalize, then the new part's row.
+  function rollPart() {
+    rollDue = false;
+    queueSlices(true);
+    closeSegment();
+    closeVadSegment();
+    const prevId = currentId;
+    const nextId = cryptoRandomId();
+    const durationFrames = framesWritten - partStartFrame;
+    const prevManifest = { ...manifestSnapshot(), durationFrames, nextId, stop: { reason: 'rollover', at: Date.now() } };
+    const vadState = vadSegments[vadSegments.length - 1]?.state || 'speech';
+
+    currentId = nextId;
+    part += 1;
+    partStartFrame = capturedFrames;
+    chunkIndex = 0;
+    segments = [];
+    events = [];
+    markers = [];
+    vadSegments = [];
+    loudness = createLoudnessMeter({ sampleRate, channels: storeChannels });
+    manifest = {
+      ...manifest,
+      recordingId: nextId,
+      session: { id: sessionId, part },
+      previousId: prevId,
+      preRoll: { frames: 0, ms: 0 },
+      timelineStartMs: framesToMs(partStartFrame, sampleRate)
+    };
+    openSegment();
+    if (detector) openVadSegment(vadState);
+    releaseSessionLock();
+    releaseSessionLock = holdSessionLock(nextId, storage);
+
+    const row = recordingRow(nextId, Date.now(), prevId);
+    flushChain = flushChain.then(async () => {
+      if (sessionId === failedSession) return;
+      // the part's last chunks have landed by now
+      await storage.setManifest(prevId, { ...prevManifest, integrity: hashChains.get(prevId)?.integrity() || null });
+      await storage.setDuration(prevId, framesToMs(durationFrames, sampleRate));
+      const rec = await storage.getRecording(prevId);
+      if (rec) await storage.putRecording({ ...rec, stopReason: 'rollover', nextId, bytes: storedBytes.get(prevId) || 0 });
+      await storage.markStatus(prevId, 'ready');
+      await storage.putRecording(row);
+      // if yet another part has started, that rollover writes this manifest
+      if (currentId === nextId) await saveManifest();
+      emit('rollover', { previousId: prevId, recordingId: nextId, sessionId, part: row.part });
+    }).catch(e => failSession(new StorageError(e, { recordingId: prevId })));
+  }
+
+  /* ------------ limits ------------ */
+  // Duration and size both become a frame budget, so the last chunk ends on the exact frame.
+  // Compressed chunks have no fixed size per frame: writeSlice() checks what was stored.
+  function setupLimits() {
+    limitHit = null;
+    limitFrames = null;
+    limitKind = null;
+    const budgets = [];
+    if (limitCfg.maxDurationMs) budgets.push(['max-duration', Math.round(limitCfg.maxDurationMs / 1000 * sampleRate)]);
+    if (limitCfg.maxBytes && !compressed) budgets.push(['max-bytes', Math.floor(limitCfg.maxBytes / bytesPerFrame)]);
+    for (const [kind, frames] of budgets) {
+      if (limitFrames === null || frames < limitFrames) { limitFrames = frames; limitKind = kind; }
+    }
+  }
+
+  function reachLimit(kind) {
+    if (limitHit) return;
+    limitHit = kind;
+    // not from inside the capture callback: ending drains the capture first
+    Promise.resolve().then(() => endSession('limit', kind)).catch(console.error);
+  }
+
+  /* ------------ timeline ------------ */
+  // Boundaries are frame offsets on the session clock plus the wall time they happened.
+  function openSegment(startedAt = Date.now()) {
+    segments.push({
+      startFrame: capturedFrames, endFrame: null,
+      startMs: framesToMs(capturedFrames, sampleRate), endMs: null,
+      startedAt, endedAt: null
+    });
+  }
+  function closeSegment() {
+    const seg = segments[segments.length - 1];
+    if (!seg || seg.endFrame !== null) return;
+    seg.endFrame = capturedFrames;
+    seg.endMs = framesToMs(capturedFrames, sampleRate);
+    seg.endedAt = Date.now();
+  }
+  function logEvent(type, extra = {}) {
+    events.push({ type, frame: capturedFrames, atMs: framesToMs(capturedFrames, sampleRate), at: Date.now(), ...extra });
+  }
+  function saveManifest() {
+    return storage.setManifest(currentId, manifestSnapshot());
+  }
+  function manifestSnapshot() {
+    return {
+      ...manifest,
+      segments: segments.map(s => ({ ...s })),
+      events: events.map(e => ({ ...e })),
+      markers: markers.map(m => ({ ...m })),
+      integrity: hashChains.get(currentId)?.integrity() || null,
+      ...(loudness ? { loudness: loudness.summary() } : {}),
+      ...(detector ? { vad: { ...detector.config, segments: vadSegments.map(s => ({ ...s })) } } : {})
+    };
+  }
+
+  /* ------------ voice activity ------------ */
+  function onLevel(rms) {
+    if (!detector || !currentId) return;
+    if (status !== 'recording' && status !== 'paused') return;
+    const { state, changed, db, silentForMs } = detector.update(rms, performance.now());
+    if (changed) {
+      closeVadSegment();
+      openVadSegment(state);
+      emit('vad', { state, db, atMs: framesToMs(capturedFrames, sampleRate) });
+      saveManifest().catch(console.error);
+    }
+    if (!detector.config.autoPause) return;
+    if (state === 'silence' && status === 'recording' && !isPaused && silentForMs >= detector.config.silenceMs) autoPause();
+    else if (state === 'speech' && vadPaused) autoResume('vad');
+  }
+
+  function openVadSegment(state) {
+    vadSegments.push({
+      state,
+      startFrame: capturedFrames, startMs: framesToMs(capturedFrames, sampleRate), startedAt: Date.now(),
+      endFrame: null, endMs: null, endedAt: null
+    });
+  }
+  function closeVadSegment() {
+    const seg = vadSegments[vadSegments.length - 1];
+    if (!seg || seg.endFrame !== null) return;
+    seg.endFrame = capturedFrames;
+    seg.endMs = framesToMs(capturedFrames, sampleRate);
+    seg.endedAt = Date.now();
+  }
+
+  // Capture keeps running into a short ring so the speech onset that wakes us up
+  // is not lost; nothing is stored until then.
+  function autoPause() {
+    vadPaused = true;
+    closeSegment();
+    const lookback = Math.round(detector.config.lookbackMs / 1000 * sampleRate);
+    ring = createRingBuffer(lookback * storeChannels);
+    setStatus('paused', 'vad');
+    saveManifest().catch(console.error);
+  }
+
+  function autoResume(reason) {
+    const lookback = ring ? ring.take() : null;
+    ring = null;
+    vadPaused = false;
+    const lookbackFrames = lookback ? Math.floor(lookback.length / storeChannels) : 0;
+    openSegment(Date.now() - framesToMs(lookbackFrames, sampleRate));
+    if (lookbackFrames) accept(lookback);
+    setStatus('recording', reason);
+    saveManifest().catch(console.error);
+  }
+
+  /* ------------ markers ------------ */
+  // Stored at the current session-clock frame; while paused that is the pause point.
+  async function mark(label = '', data = null) {
+    fsm.assert('mark');
+    await drainCapture(); // count the frames still sitting in the worklet block
+    const frame = capturedFrames;
+    const marker = {
+      id: markers.length,
+      label: String(label || `Marker ${markers.length + 1}`),
+      frame,
+      atMs: framesToMs(frame, sampleRate),
+      at: Date.now(),
+      data: data ?? null
+    };
+    markers.push(marker);
+    emit('marker', { ...marker });
+    await saveManifest().catch(console.error);
+    return marker;
+  }
+
+  /* ------------ input devices ------------ */
+  function deviceInfo(s) {
+    const { deviceId: id, label } = describeInput(s);
+    return { deviceId: id, label };
+  }
+
+  // Idle: remembered for the next start(). In a session: the new source feeds the
+  // same AudioContext and capture node, so the frame clock simply carries on.
+  async function setDevice(nextId) {
+    deviceId = nextId || null;
+    if (trackSpecs && ctx) throw new NotSupportedError('Multi-track sessions take their devices from the tracks option');
+    if (!ctx || !sourceCfg.mic || trackSpecs) return;
+
+    const next = await openInputStream({ deviceId, channels: micChannels() });
+    await drainCapture(); // pin the switch to the current frame
+    // the old input is gone before the new one is heard
+    unwatchInput();
+    mixer.detach('mic');
+    try { stream?.getTracks().forEach(t => t.stop()); } catch {}
+    const nextSrc = ctx.createMediaStreamSource(next);
+    mixer.attach('mic', nextSrc);
+    const from = manifest?.device;
+    src = nextSrc;
+    stream = next;
+    if (manifest) manifest.device = deviceInfo(next);
+    inputChannels = describeInput(next).channelCount || inputChannels;
+    unwatchInput = watchInput(next, onInputLost);
+    if (!currentId) return; // armed: nothing to log yet
+    manifest.sources = describeSources();
+    logEvent('device-change', { from, to: manifest.device });
+
+    if (status === 'interrupted' && interruptedBy !== 'audio-context-suspended') restore();
+    await saveManifest().catch(console.error);
+  }
+
+  async function onInputLost(reason) {
+    if (status === 'armed') {
+      const deviceId = describeInput(stream).deviceId;
+      teardown();
+      setStatus('idle');
+      emit('error', new InputError(reason, 'Input lost while armed', { deviceId }));
+      return;
+    }
+    if (status !== 'recording' && status !== 'paused') return;
+    const deviceId = manifest.device?.deviceId || null;
+    await interrupt(new InputError(reason,
+      reason === 'device-removed' ? 'Input device was disconnected' : 'Input track ended', { deviceId }));
+  }
+
+  // The browser suspended the AudioContext. Try to resume it; if that is refused the
+  // session waits in 'interrupted' until the context runs again or resume() is
+  // called from a user gesture. A context closed under a session is fatal.
+  async function onContextState(state) {
+    if (!currentId) return;
+    if (state === 'closed') { failSession(new InputError('audio-context-closed', 'Audio processing stopped unexpectedly')); return; }
+    if (state === 'running') {
+      if (status === 'interrupted' && interruptedBy === 'audio-context-suspended') {
+        restore();
+        await saveManifest().catch(console.error);
+      }
+      return;
+    }
+    if (state !== 'suspended' || (status !== 'recording' && status !== 'paused')) return;
+    try { await ctx.resume(); } catch {}
+    if (!ctx || ctx.state === 'running') return;
+    await interrupt(new InputError('audio-context-suspended', 'Audio processing was suspended by the browser'));
+  }
+
+  // Capture stops counting until restore(): a new input (setDevice) or the context running again
+  async function interrupt(error) {
+    resumeTo = status;
+    interruptedBy = error.code;
+    isPaused = true;
+    ring = null;
+    vadPaused = false;
+    sendToWorklet('pause');
+    await drainCapture(); // skipped while the context is suspended
+    closeSegment();
+    logEvent('interrupted', { reason: error.code, ...(error.deviceId !== undefined ? { deviceId: error.deviceId } : {}) });
+    setStatus('interrupted', error.code);
+    emit('error', error);
+    await saveManifest().catch(console.error);
+  }
+
+  function restore() {
+    if (resumeTo === 'recording') {
+      openSegment();
+      isPaused = false;
+      sendToWorklet('resume');
+    }
+    interruptedBy = null;
+    setStatus(resumeTo);
+  }
+
+  /* ------------ sources ------------ */
+  function micChannels() { return sourceCfg.separate ? 1 : storeChannels; }
+
+  function describeSources() {
+    return activeSources(sourceCfg).map((name, i) => ({
+      type: name,
+      gain: sourceCfg[name].gain,
+      channel: sourceCfg.separate ? i : null,
+      label: describeInput(name === 'mic' ? stream : displayStream).label,
+      ...(name === 'display' && !displayStream ? { ended: true } : {})
+    }));
+  }
+
+  // Live level change for one source; logged on the session clock when saved
+  async function setSourceGain(name, gain, { save = true } = {}) {
+    if (trackSpecs || !sourceCfg[name] || !Number.isFinite(Number(gain))) return;
+    sourceCfg[name].gain = Number(gain);
+    mixer?.setGain(name, gain);
+    if (!currentId || !save) return;
+    manifest.sources = describeSources();
+    logEvent('gain', { source: name, gain: Number(gain) });
+    await saveManifest().catch(console.error);
+  }
+
+  // The user stopped sharing. With the mic still there the session carries on
+  // without the share; a display-only session ends as if stop() was called.
+  async function onDisplayEnded() {
+    emit('source', { source: 'display', state: 'ended' });
+    if (status === 'armed' && !sourceCfg.mic) { teardown(); setStatus('idle'); return; }
+    if (!sourceCfg.mic) { await endSession('source-ended'); return; }
+
+    await drainCapture();
+    mixer?.detach('display');
+    try { displayStream?.getTracks().forEach(t => t.stop()); } catch {}
+    displayStream = null;
+    if (!currentId) return;
+    logEvent('source-ended', { source: 'display' });
+    manifest.sources = describeSources();
+    await saveManifest().catch(console.error);
+  }
+
+  /* ------------ tracks ------------ */
+  // Every device or none: a half-open set would silently drop a track
+  async function openTrackStreams() {
+    const results = await Promise.allSettled(trackSpecs.map(t => openInputStream({ deviceId: t.deviceId, channels: 1 })));
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) {
+      results.forEach(r => r.value?.getTracks().forEach(t => t.stop()));
+      throw failed.reason;
+    }
+    return results.map(r => r.value);
+  }
+
+  function describeTracks() {
+    return trackSpecs.map((t, i) => {
+      const { deviceId: id, label } = describeInput(trackStreams[i]);
+      return { index: i, name: t.label, deviceId: id || t.deviceId, label, gain: t.gain, ...(lostTracks.has(i) ? { lost: true } : {}) };
+    });
+  }
+
+  async function setTrackGain(track, gain, { save = true } = {}) {
+    const spec = trackSpecs?.[track];
+    if (!spec || !Number.isFinite(Number(gain))) return;
+    spec.gain = Number(gain);
+    mixer?.setGain(track, gain);
+    if (!currentId || !save) return;
+    manifest.tracks = describeTracks();
+    logEvent('gain', { track, gain: Number(gain) });
+    await saveManifest().catch(console.error);
+  }
+
+  // One track's device went away: that track records silence, the others carry on
+  async function onTrackLost(track, reason) {
+    lostTracks.add(track);
+    const lostId = describeInput(trackStreams[track]).deviceId || trackSpecs[track].deviceId;
+    emit('error', new InputError(reason, `${trackSpecs[track].label}: input lost`, { deviceId: lostId, track }));
+    if (!currentId) return;
+    await drainCapture();
+    logEvent('track-lost', { track, reason, deviceId: lostId });
+    manifest.tracks = describeTracks();
+    await saveManifest().catch(console.error);
+  }
+
+  /* ------------ crash safety ------------ */
+  // When the page is going away (pagehide) or being frozen in the background (freeze),
+  // store the partial slice too, so a crash loses at most what is still in flight.
+  // The next slice simply starts where it ended. Merely hidden tabs keep full chunks.
+  async function flushPartial() {
+    if (!currentId) return;
+    queueSlices(true);
+    await drainCapture();
+    queueSlices(true);
+    await flushChain;
+  }
+  function onPageHide() { flushPartial().catch(console.error); }
+
   function teardown() {
+    ring = null;
+    releaseSessionLock();
+    unwatchInput();
+    unwatchDisplay();
+    unwatchTracks.forEach(fn => fn()); unwatchTracks = [];
+    unwatchContext(); unwatchContext = () => {};
+    cancelStopAt(); cancelStopAt = () => {};
+    quotaGuard.stop();
+    removeEventListener('pagehide', onPageHide);
+    document.removeEventListener('freeze', onPageHide);
+    sendToWorklet('close');
+    if (engine === 'worklet' && proc) proc.port.onmessage = null;
     try { proc?.disconnect(); } catch {}
     try { src?.disconnect(); } catch {}
     try { stream?.getTracks?.().forEach(t => t.stop()); } catch {}
+    try { displayStream?.getTracks?.().forEach(t => t.stop()); } catch {}
+    trackStreams.forEach(s => { try { s.getTracks().forEach(t => t.stop()); } catch {} });
+    trackStreams = [];
     try { ctx?.close(); } catch {}
-    stream = null; ctx = null; src = null; analyser = null; proc = null;
+    stream = null; displayStream = null; ctx = null; src = null; mixer = null;
+    analyser = null; proc = null; engine = null;
+    drainWaiters.forEach(fn => fn()); drainWaiters = [];
     stopMeter(); stopStats();
   }
 
   /* ------------ public API ------------ */
   async function start() {
-    if (status === 'recording' || status === 'paused') return;
-
-    stream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        channelCount: { ideal: Math.max(1, channels) },
-        sampleRate:   { ideal: 48000 },
-        echoCancellation: false,
-        noiseSuppression: false,
-        autoGainControl:  false
+    fsm.assert('start');
+    if (limitCfg.stopAt && limitCfg.stopAt <= Date.now()) {
+      throw new RecorderError('stop-time-passed', 'The stop time has already passed');
+    }
+
+    try {
+      if (status === 'armed') {
+        await drainCapture(); // pull the worklet's partial block into the ring first
+        const preRoll = ring.take();
+        ring = null;
+        await beginSession(preRoll);
+        return;
       }
-    });
+      setStatus('requesting');
+      await openGraph();
+      await beginSession();
+    } catch (e) {
+      throw abortStart(e);
+    }
+  }
+
+  // start()/arm() failed before the session was live: close everything, back to idle
+  // (or 'error' when storage refused the new recording)
+  function abortStart(e) {
+    // once there is a recording id, the device side worked and storage did not
+    const error = e instanceof RecorderError ? e
+      : currentId ? new StorageError(e, { recordingId: currentId })
+      : fromMediaError(e);
+    currentId = null;
+    teardown();
+    if (status === 'requesting' || status === 'armed') setStatus(error instanceof StorageError ? 'error' : 'idle', error?.code);
+    return error;
+  }
+
+  // Mic open and capturing into the ring buffer, nothing stored yet
+  async function arm() {
+    fsm.assert('arm');
+    setStatus('requesting');
+    try { await openGraph(); } catch (e) { throw abortStart(e); }
+    const frames = Math.max(0, Math.round((Number(preRollSeconds) || 0) * sampleRate));
+    ring = createRingBuffer(frames * storeChannels);
+    isPaused = false;
+    setStatus('armed');
+    sendToWorklet('start');
+    startMeter();
+  }
+
+  async function disarm() {
+    fsm.assert('disarm');
+    teardown();
+    setStatus('idle');
+  }
+
+  async function openGraph() {
+    lostTracks = new Set();
+    if (trackSpecs) {
+      trackStreams = await openTrackStreams();
+    } else {
+      // the share picker first: it needs the click's user activation
+      if (sourceCfg.display) displayStream = await openDisplayStream();
+      try {
+        if (sourceCfg.mic) stream = await openInputStream({ deviceId, channels: micChannels() });
+      } catch (e) {
+        displayStream?.getTracks().forEach(t => t.stop());
+        displayStream = null;
+        throw e;
+      }
+    }
 
     ctx = new (window.AudioContext || window.webkitAudioContext)({ latencyHint: 'interactive' });
     sampleRate = ctx.sampleRate;
+    unwatchContext = watchContext(ctx, (state) => onContextState(state).catch(console.error));
+    inputChannels = trackSpecs ? trackSpecs.length : describeInput(stream || displayStream).channelCount;
     sliceFramesTarget = Math.round(((Number(chunkSeconds) || 2) * sampleRate) / 128) * 128;
+    chain = processors?.length ? createProcessorChain(processors, { sampleRate, channels: storeChannels }) : null;
 
-    src = ctx.createMediaStreamSource(stream);
-    analyser = ctx.createAnalyser(); analyser.fftSize = 2048; src.connect(analyser);
+    if (trackSpecs) {
+      // one merger input per track: the capture node sees them as channels of one clock
+      mixer = createMixer(ctx, trackSpecs.map((t, i) => ({ name: i, gain: t.gain })), { separate: true });
+      trackStreams.forEach((s, i) => mixer.attach(i, ctx.createMediaStreamSource(s)));
+    } else {
+      mixer = createSourceMixer(ctx, sourceCfg);
+      if (stream) { src = ctx.createMediaStreamSource(stream); mixer.attach('mic', src); }
+      if (displayStream) mixer.attach('display', ctx.createMediaStreamSource(displayStream));
+    }
+    analyser = ctx.createAnalyser(); analyser.fftSize = 2048; mixer.output.connect(analyser);
 
-    // ScriptProcessorNode (deprecated but works everywhere in Chrome)
-    const bufferSize = 4096; // can try 2048 if you want lower latency
-    const inChannels = Math.min(2, src.channelCount || 2);
-    proc = ctx.createScriptProcessor(bufferSize, inChannels, 1);
-    src.connect(proc);
+    proc = await createCaptureNode();
+    mixer.output.connect(proc);
     proc.connect(ctx.destination); // keep node alive; audio not audible
 
-    proc.onaudioprocess = async (e) => {
-      if (status !== 'recording' || isPaused) return;
-      const ch0 = e.inputBuffer.getChannelData(0);
-      const ch1 = inChannels > 1 ? e.inputBuffer.getChannelData(1) : ch0;
-
-      // downmix to mono
-      const mono = new Float32Array(ch0.length);
-      for (let i = 0; i < ch0.length; i++) mono[i] = (ch0[i] + ch1[i]) * 0.5;
-
-      appendToAccum(mono);
-      // avoid blocking audio thread too long
-      // schedule the flush on microtask to let UI breathe
-      Promise.resolve().then(flushFullSlices).catch(console.error);
-    };
-
-    await beginSession();
+    if (stream) unwatchInput = watchInput(stream, onInputLost);
+    if (displayStream) unwatchDisplay = watchDisplay(displayStream, onDisplayEnded);
+    unwatchTracks = trackStreams.map((s, i) => watchInput(s, (reason) => onTrackLost(i, reason)));
   }
 
   async function pause() {
-    if (status !== 'recording') return;
+    fsm.assert('pause');
+    if (vadPaused) {
+      // already cut by the VAD; make it a user pause so speech won't resume it
+      ring = null;
+      vadPaused = false;
+      isPaused = true;
+      sendToWorklet('pause');
+      setStatus('paused');
+      return;
+    }
+    if (status !== 'recording' || isPaused) return;
     isPaused = true;
-    pauseTs = Date.now();
+    sendToWorklet('pause');
+    await drainCapture(); // every frame before the pause is counted now
+    closeSegment();
     setStatus('paused');
+    await saveManifest().catch(console.error);
   }
 
   async function resume() {
-    if (status !== 'paused') return;
-    if (pauseTs) pausedAccum += (Date.now() - pauseTs);
-    pauseTs = 0;
+    fsm.assert('resume');
+    if (status === 'interrupted') {
+      // only a suspended context can be resumed; a lost input needs setDevice()
+      if (interruptedBy !== 'audio-context-suspended') throw new InvalidStateError('resume', 'the input is missing');
+      await ctx.resume();
+      if (ctx.state !== 'running') throw new InputError('audio-context-suspended', 'The browser is still holding audio processing');
+      if (status === 'interrupted') restore();
+      await saveManifest().catch(console.error);
+      return;
+    }
+    if (vadPaused) { autoResume(); return; }
+    openSegment();
     isPaused = false;
+    sendToWorklet('resume');
     setStatus('recording');
+    await saveManifest().catch(console.error);
   }
 
   async function stop() {
-    if (status !== 'recording' && status !== 'paused') return;
-    // ensure we capture any remainder
-    await flushRemainderOnStop().catch(console.error);
-    await finalizeSession();
+    fsm.assert('stop');
+    return endSession('user');
+  }
+
+  // Every way a session ends (stop(), a limit, the only source going away) runs through here
+  function endSession(reason, limit = null) {
+    if (status !== 'recording' && status !== 'paused' && status !== 'interrupted') return ending || Promise.resolve();
+    ending ??= finishSession(reason, limit).finally(() => { ending = null; });
+    return ending;
+  }
+
+  async function finishSession(reason, limit) {
+    // ensure we capture any remainder: worklet block, pending writes, then accum
+    isPaused = true;
+    vadPaused = false;
+    sendToWorklet('pause');
+    setStatus('finalizing', reason === 'user' ? undefined : reason);
+    await drainCapture();
+    ring = null;
+    closeSegment();
+    queueSlices(true);
+    await flushChain;
+    if (status === 'error') return; // a write failed on the way
+    try {
+      await finalizeSession(reason, limit);
+    } catch (e) {
+      failSession(new StorageError(e, { recordingId: currentId }));
+      return;
+    }
+    interruptedBy = null;
     teardown();
-    setStatus('idle');
+    setStatus('idle', reason === 'user' ? undefined : reason);
   }
 
-  return { on, off, start, pause, resume, stop };
+  function getState() {
+    const live = !!currentId;
+    return {
+      state: status,
+      reason: fsm.reason,
+      recordingId: currentId,
+      ...(rolloverCfg && live ? { sessionId, part } : {}),
+      capture: engine,
+      stats: {
+        ...stats,
+        durationMs: live ? framesToMs(capturedFrames - originFrame, sampleRate) : stats.durationMs,
+        ...(hasLimits(limitCfg) ? remaining(limitCfg, stats) : {})
+      }
+    };
+  }
+
+  return { on, off, start, pause, resume, stop, mark, arm, disarm, getState, listDevices: listInputDevices, setDevice, setSourceGain, setTrackGain };
 }
 
 /* ------------ utils ------------ */
+const WORKLET_BLOCK_FRAMES = 4096; // frames per worklet → main thread message
+
+// RMS over every channel of one block (ScriptProcessor path; the worklet measures its own)
+function blockRms(planes) {
+  let sum = 0, n = 0;
+  for (const p of planes) { for (let i = 0; i < p.length; i++) sum += p[i] * p[i]; n += p.length; }
+  return n ? Math.sqrt(sum / n) : 0;
+}
+
+// Fixed-capacity sample ring: write() keeps the newest `capacity` samples,
+// take() returns them oldest-first.
+function createRingBuffer(capacity) {
+  const buf = new Float32Array(capacity);
+  let pos = 0, filled = 0;
+  return {
+    write(samples) {
+      if (!capacity) return;
+      const src = samples.length > capacity ? samples.subarray(samples.length - capacity) : samples;
+      const first = Math.min(src.length, capacity - pos);
+      buf.set(src.subarray(0, first), pos);
+      buf.set(src.subarray(first), 0);
+      pos = (pos + src.length) % capacity;
+      filled = Math.min(capacity, filled + src.length);
+    },
+    take() {
+      const out = new Float32Array(filled);
+      const start = (pos - filled + capacity) % capacity;
+      const first = Math.min(filled, capacity - start);
+      out.set(buf.subarray(start, start + first), 0);
+      out.set(buf.subarray(0, filled - first), first);
+      return out;
+    }
+  };
+}
+
+// Planar input channels → interleaved output `channels` wide.
+// channels === 1 averages every input; missing inputs repeat the last one.
+// Keep in sync with PcmRecorderProcessor.process().
+function mixToChannels(planes, channels) {
+  const frames = planes[0]?.length || 0;
+  const out = new Float32Array(frames * channels);
+  if (channels === 1) {
+    const gain = 1 / planes.length;
+    for (const p of planes) for (let i = 0; i < frames; i++) out[i] += p[i] * gain;
+    return out;
+  }
+  for (let c = 0; c < channels; c++) {
+    const p = planes[Math.min(c, planes.length - 1)];
+    for (let i = 0; i < frames; i++) out[i * channels + c] = p[i];
+  }
+  return out;
+}
+
 function framesToMs(frames, sampleRate) {
   return (frames / sampleRate) * 1000;
 }
@@ -0,0 +1,87 @@
+// web/record-ver2.0/js/recovery.js
+// Crash recovery for sessions that never reached finalize (tab closed/crashed).
+// Their rows are still status 'recording'; we rebuild durationMs from the stored
+// chunk timing and mark them 'recovered' so the UI can finalize or discard them.
+// A live session holds a Web Lock (sessionLockName) so other tabs leave it alone.
+// Without Web Locks it touches its row every HEARTBEAT_MS instead, and only rows
+// untouched for STALE_MS are recovered.
+
+const LOCK_PREFIX = 'recorder-session:';
+export const HEARTBEAT_MS = 10000;
+export const STALE_MS = 3 * HEARTBEAT_MS;
+const hasLocks = () => !!globalThis.navigator?.locks?.request;
+
+export function sessionLockName(recordingId) {
+  return LOCK_PREFIX + recordingId;
+}
+
+// Holds the session lock (or beats the heartbeat) until the returned release() is called
+export function holdSessionLock(recordingId, storage) {
+  if (!hasLocks()) {
+    const timer = setInterval(() => storage?.touchRecording(recordingId).catch(console.error), HEARTBEAT_MS);
+    return () => clearInterval(timer);
+  }
+  let release = () => {};
+  const held = new Promise(res => { release = res; });
+  navigator.locks.request(sessionLockName(recordingId), () => held).catch(() => {});
+  return release;
+}
+
+async function liveSessionIds() {
+  const ids = new Set();
+  try {
+    const { held = [] } = await navigator.locks?.query?.() || {};
+    for (const l of held) if (l.name?.startsWith(LOCK_PREFIX)) ids.add(l.name.slice(LOCK_PREFIX.length));
+  } catch {}
+  return ids;
+}
+
+export async function recoverOrphanedRecordings(storage, { now = Date.now() } = {}) {
+  const locks = hasLocks();
+  const live = await liveSessionIds();
+  const list = await storage.queryRecordings({ status: 'recording' });
+  const recovered = [];
+
+  for (const rec of list) {
+    if (live.has(rec.id)) continue;
+    // no locks: a row touched recently may belong to another tab that is still recording
+    if (!locks && now - (rec.updatedAt || rec.createdAt || 0) < STALE_MS) continue;
+    const durationMs = await markRecovered(storage, rec.id);
+    recovered.push({ ...rec, status: 'recovered', durationMs });
+  }
+  return recovered;
+}
+
+// Also used when a live session fails (storage full, graph died): what was stored
+// is kept and offered for finalize/discard like a crashed session.
+export async function markRecovered(storage, recordingId) {
+  const durationMs = await durationFromChunks(storage, recordingId);
+  await storage.setDuration(recordingId, durationMs);
+  await storage.markStatus(recordingId, 'recovered');
+  return durationMs;
+}
+
+export async function finalizeRecovered(storage, recordingId) {
+  await storage.markStatus(recordingId, 'ready');
+}
+
+export async function discardRecovered(storage, recordingId) {
+  await storage.deleteRecording(recordingId);
+}
+
+async function durationFromChunks(storage, recordingId) {
+  // streamed, so a long orphaned session is never loaded whole
+  // pre-roll chunks start before 0; later rollover parts start well after it
+  let start = Infinity, end = 0, count = 0;
+  for await (const c of storage.iterateChunks(recordingId)) {
+    start = Math.min(start, Number(c.startMs) || 0);
+    end = Math.max(end, Number(c.endMs) || 0);
+    count++;
+  }
+  if (!count) return 0;
+  if (end > 0) return end - start;
+
+  // chunks written before timing was stored: assume full slices
+  const manifest = await storage.getManifest(recordingId);
+  return count * (Number(manifest?.chunkSeconds) || 2) * 1000;
+}
@@ -0,0 +1,101 @@
+// web/record-ver2.0/js/sources.js
+// Capture sources shared by both engines: the microphone and tab/system audio
+// (getDisplayMedia). Each source gets its own gain; the mixer either sums them or,
+// with `separate`, puts every source on its own channel (mono each, in SOURCE_ORDER).
+//
+//   sources: { mic: true | { gain }, display: true | { gain }, separate: false }
+//   null/undefined = microphone only (the default everywhere)
+
+export const SOURCE_ORDER = ['mic', 'display'];
+
+export function normalizeSources(sources) {
+  if (!sources) return { mic: { gain: 1 }, display: null, separate: false };
+  const pick = (v) => v ? { gain: Number.isFinite(Number(v.gain)) ? Number(v.gain) : 1 } : null;
+  const out = { mic: pick(sources.mic), display: pick(sources.display), separate: !!sources.separate };
+  if (!out.mic && !out.display) throw new Error('At least one source (mic or display) is required');
+  return out;
+}
+
+export const activeSources = (cfg) => SOURCE_ORDER.filter(name => cfg[name]);
+
+// Tab/system audio. Browsers only offer audio alongside a video share; the video
+// track is kept (stopping it can end the share) but never used.
+export async function openDisplayStream() {
+  if (!navigator.mediaDevices?.getDisplayMedia) throw new Error('Tab/system audio capture not supported');
+  const stream = await navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: 1, width: 1, height: 1 },
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    systemAudio: 'include'
+  });
+  if (!stream.getAudioTracks().length) {
+    stream.getTracks().forEach(t => t.stop());
+    const err = new Error('No audio was shared. Tick "Share audio" when picking the tab or screen.');
+    err.code = 'no-display-audio';
+    throw err;
+  }
+  return stream;
+}
+
+// Calls onEnded() once when the user stops sharing (any track of the share ends).
+// Returns an unsubscribe function.
+export function watchDisplay(stream, onEnded) {
+  const tracks = stream?.getTracks?.() || [];
+  let done = false;
+  const ended = () => { if (done) return; unwatch(); onEnded(); };
+  function unwatch() {
+    done = true;
+    tracks.forEach(t => t.removeEventListener('ended', ended));
+  }
+  tracks.forEach(t => t.addEventListener('ended', ended));
+  return unwatch;
+}
+
+export function createSourceMixer(ctx, cfg) {
+  return createMixer(ctx, activeSources(cfg).map(name => ({ name, gain: cfg[name].gain })), { separate: cfg.separate });
+}
+
+// Per-input gain nodes feeding one output node; with `separate` every input is
+// downmixed to mono and gets its own output channel, in order (multi-track uses this).
+// attach(name, node) connects a source node in (replacing the previous one),
+// detach(name) disconnects it, setGain(name, gain) changes its level live.
+export function createMixer(ctx, entries, { separate = false } = {}) {
+  const names = entries.map(e => e.name);
+  const output = separate ? ctx.createChannelMerger(names.length) : ctx.createGain();
+  const gains = new Map();
+  const inputs = new Map();
+
+  entries.forEach(({ name, gain = 1 }, i) => {
+    const g = ctx.createGain();
+    g.gain.value = gain;
+    if (separate) {
+      // downmix each source to mono before it takes its channel
+      g.channelCount = 1;
+      g.channelCountMode = 'explicit';
+      g.channelInterpretation = 'speakers';
+      g.connect(output, 0, i);
+    } else {
+      g.connect(output);
+    }
+    gains.set(name, g);
+  });
+
+  function attach(name, node) {
+    const g = gains.get(name);
+    if (!g) return;
+    detach(name); // never two inputs summed into one gain
+    node.connect(g);
+    inputs.set(name, node);
+  }
+  function detach(name) {
+    try { inputs.get(name)?.disconnect(); } catch {}
+    inputs.delete(name);
+  }
+  function setGain(name, gain) {
+    const g = gains.get(name);
+    if (!g) return false;
+    g.gain.setTargetAtTime(Number(gain), ctx.currentTime, 0.02);
+    return true;
+  }
+
+  return { output, names, attach, detach, setGain };
+}
@@ -0,0 +1,68 @@
+// web/record-ver2.0/js/state.js
+// Recorder state machine shared by both engines. Every status change goes through
+// to(), which only allows the moves below; public calls check can(action) first
+// and throw an InvalidStateError otherwise.
+//
+//   idle/ready/error ─start/arm→ requesting ─→ recording ⇄ paused
+//                                           └→ armed ─start→ recording      (PCM)
+//   recording/paused ─input lost→ interrupted ─input back→ recording/paused
+//   recording/paused/interrupted ─stop/limit→ finalizing → ready → idle
+//   anything live ─storage/graph failure→ error
+// A move to the same state is allowed when only the reason changes (VAD pauses).
+
+import { RecorderError, InvalidStateError } from './errors.js';
+
+export const STATES = ['idle', 'requesting', 'armed', 'recording', 'paused', 'interrupted', 'finalizing', 'ready', 'error'];
+
+const TRANSITIONS = {
+  idle:        ['requesting'],
+  requesting:  ['armed', 'recording', 'idle', 'error'],
+  armed:       ['recording', 'idle', 'error'],
+  recording:   ['paused', 'interrupted', 'finalizing', 'error'],
+  paused:      ['recording', 'interrupted', 'finalizing', 'error'],
+  interrupted: ['recording', 'paused', 'finalizing', 'error'],
+  finalizing:  ['ready', 'error'],
+  ready:       ['idle', 'requesting'],
+  error:       ['idle', 'requesting']
+};
+
+// Where each public call may be made from
+const ACTIONS = {
+  start:  ['idle', 'ready', 'error', 'armed'],
+  arm:    ['idle', 'ready', 'error'],
+  disarm: ['armed'],
+  pause:  ['recording', 'paused'], // paused: turns a VAD pause into a user pause
+  resume: ['paused', 'interrupted'],
+  stop:   ['recording', 'paused', 'interrupted', 'finalizing'],
+  mark:   ['recording', 'paused', 'interrupted']
+};
+
+export const LIVE_STATES = ['recording', 'paused', 'interrupted'];
+
+// onChange({ status, reason }) runs after every move
+export function createStateMachine(onChange) {
+  let state = 'idle';
+  let reason;
+
+  function to(next, why) {
+    if (next !== state && !TRANSITIONS[state].includes(next)) {
+      throw new RecorderError('invalid-state', `Invalid transition ${state} → ${next}`, { state, next });
+    }
+    state = next;
+    reason = why;
+    onChange(why ? { status: next, reason: why } : { status: next });
+    return state;
+  }
+
+  const can = (action) => ACTIONS[action].includes(state);
+  function assert(action) {
+    if (!can(action)) throw new InvalidStateError(action, state);
+  }
+
+  return {
+    to, can, assert,
+    get state() { return state; },
+    get reason() { return reason; },
+    get live() { return LIVE_STATES.includes(state); }
+  };
+}
@@ -0,0 +1,158 @@
+// web/record-ver2.0/js/storage-health.js
+// Storage usage, persistence and retention. Raw PCM is large (Float32 mono at 48 kHz
+// is ~11.5 MB a minute), so the recorders watch free space with a quota guard and
+// end the session through the limit path ('storage-low') before the browser throws
+// QuotaExceededError mid-write.
+//
+// Retention: { keepLast, maxAgeDays, maxBytes }, any of them; null/0 = no rule.
+//   keepLast     keep the N newest recordings, delete the rest
+//   maxAgeDays   delete recordings created more than N days ago
+//   maxBytes     delete the oldest until the total size fits
+// Starred recordings, sessions still recording and recovered sessions awaiting
+// review are never deleted (and don't count towards keepLast).
+// The parts of a rolled-over session go together: the session counts as one recording,
+// is as old as its newest part, and is kept whole if any part is protected.
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const QUOTA_WARN_BYTES = 200 * MB;
+export const QUOTA_STOP_BYTES = 50 * MB;
+
+// { supported, usage, quota, available, usedRatio, persisted }; sizes are null when
+// the browser has no StorageManager
+export async function getStorageHealth() {
+  const sm = globalThis.navigator?.storage;
+  if (!sm?.estimate) return { supported: false, usage: null, quota: null, available: null, usedRatio: null, persisted: false };
+  const { usage = 0, quota = 0 } = await sm.estimate();
+  const persisted = sm.persisted ? await sm.persisted() : false;
+  return { supported: true, usage, quota, available: Math.max(0, quota - usage), usedRatio: quota ? usage / quota : null, persisted };
+}
+
+// Asks the browser not to evict this origin's data under pressure; true when granted
+export async function requestPersistence() {
+  const sm = globalThis.navigator?.storage;
+  if (!sm?.persist) return false;
+  if (await sm.persisted?.()) return true;
+  return sm.persist();
+}
+
+/* ------------ retention ------------ */
+export function normalizeRetention({ keepLast = null, maxAgeDays = null, maxBytes = null } = {}) {
+  const positive = (v) => Number(v) > 0 ? Number(v) : null;
+  return {
+    keepLast: positive(keepLast) && Math.floor(positive(keepLast)),
+    maxAgeMs: positive(maxAgeDays) && positive(maxAgeDays) * DAY_MS,
+    maxBytes: positive(maxBytes)
+  };
+}
+
+export const hasRetention = (p) => !!(p.keepLast || p.maxAgeMs || p.maxBytes);
+
+const protectedRow = (r, protect) => r.starred || r.status === 'recording' || r.status === 'recovered' || protect.includes(r.id);
+
+// Ids a policy would delete, oldest first. sizeOf(rec) is only needed for maxBytes.
+export function pickExpired(recordings, policy, { now = Date.now(), protect = [], sizeOf = (r) => r.bytes || 0 } = {}) {
+  const p = normalizeRetention(policy);
+  const newest = sessionsOf(recordings).sort((a,b)=>b.createdAt-a.createdAt);
+  const deletable = newest.filter(s => !s.parts.some(r => protectedRow(r, protect)));
+  const out = new Set();
+
+  if (p.keepLast) deletable.slice(p.keepLast).forEach(s => out.add(s));
+  if (p.maxAgeMs) deletable.filter(s => now - s.createdAt > p.maxAgeMs).forEach(s => out.add(s));
+  if (p.maxBytes) {
+    // protected recordings count towards the cap but are never the ones removed
+    const bytes = (s) => s.parts.reduce((n, r) => n + sizeOf(r), 0);
+    let total = newest.filter(s => !out.has(s)).reduce((n, s) => n + bytes(s), 0);
+    for (const s of [...deletable].reverse()) {
+      if (total <= p.maxBytes) break;
+      if (out.has(s)) continue;
+      out.add(s);
+      total -= bytes(s);
+    }
+  }
+  return newest.filter(s => out.has(s)).reverse().flatMap(s => s.parts.map(r => r.id));
+}
+
+// Rows grouped by rollover session (sessionId, or the part reached along previousId),
+// parts in order: [{ parts, createdAt }], createdAt of the newest part
+function sessionsOf(recordings) {
+  const byId = new Map(recordings.map(r => [r.id, r]));
+  const keyOf = (r) => {
+    for (const seen = new Set(); !r.sessionId && byId.has(r.previousId) && !seen.has(r.id);) {
+      seen.add(r.id);
+      r = byId.get(r.previousId);
+    }
+    return r.sessionId || r.id;
+  };
+  const sessions = new Map();
+  for (const r of recordings) {
+    const key = keyOf(r);
+    if (!sessions.has(key)) sessions.set(key, { parts: [], createdAt: 0 });
+    const s = sessions.get(key);
+    s.parts.push(r);
+    s.createdAt = Math.max(s.createdAt, r.createdAt || 0);
+  }
+  for (const s of sessions.values()) s.parts.sort((a,b)=>(a.part||0)-(b.part||0) || (a.createdAt||0)-(b.createdAt||0));
+  return Array.from(sessions.values());
+}
+
+// Deletes what the policy expires; resolves with the deleted ids
+export async function applyRetention(storage, policy, { now = Date.now(), protect = [] } = {}) {
+  if (!hasRetention(normalizeRetention(policy))) return [];
+  const list = await storage.queryRecordings();
+  const sizes = new Map();
+  if (normalizeRetention(policy).maxBytes) {
+    for (const r of list) sizes.set(r.id, await recordingBytes(storage, r));
+  }
+  const ids = pickExpired(list, policy, { now, protect, sizeOf: (r) => sizes.get(r.id) || 0 });
+  for (const id of ids) await storage.deleteRecording(id);
+  return ids;
+}
+
+// Stored size of a recording: the row's `bytes` when the recorder saved it,
+// otherwise the sum of its chunks (every track)
+export async function recordingBytes(storage, rec) {
+  if (Number.isFinite(rec?.bytes)) return rec.bytes;
+  const tracks = (await storage.getManifest(rec.id))?.tracks?.length || 1;
+  let bytes = 0;
+  for (let track = 0; track < tracks; track++) {
+    for await (const c of storage.iterateChunks(rec.id, { track })) bytes += c.size || 0;
+  }
+  return bytes;
+}
+
+/* ------------ quota guard ------------ */
+// Watches free space while a session records: below warnBytes calls onWarn(health)
+// once, below stopBytes calls onStop(health) once. Checks on start() and every
+// intervalMs. Does nothing where the estimate is unavailable. null disables a level.
+export function createQuotaGuard({
+  warnBytes = QUOTA_WARN_BYTES, stopBytes = QUOTA_STOP_BYTES, intervalMs = 10000,
+  onWarn = () => {}, onStop = () => {}, estimate = getStorageHealth
+} = {}) {
+  let timer = 0;
+  let warned = false, stopped = false;
+
+  async function check() {
+    const health = await estimate();
+    if (!timer || !health.supported) return health;
+    if (stopBytes && !stopped && health.available <= stopBytes) { stopped = true; onStop(health); }
+    else if (warnBytes && !warned && health.available <= warnBytes) { warned = true; onWarn(health); }
+    return health;
+  }
+  const poll = () => check().catch(e => console.error('[quota] estimate failed', e));
+
+  function start() {
+    if (!warnBytes && !stopBytes) return;
+    stop();
+    warned = false; stopped = false;
+    timer = setInterval(poll, intervalMs);
+    poll();
+  }
+  function stop() {
+    clearInterval(timer);
+    timer = 0;
+  }
+
+  return { start, stop, check };
+}
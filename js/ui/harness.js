@@ -1,5 +1,12 @@
 // UI harness: instant state updates + big state chip + list & playback
 import { Player } from './player-mse.js';
+import { buildWavUrl, buildMixdownWavUrl, buildStitchedWavUrl, pcmTracks } from '../pcm.js';
+import { isPcmFormat } from '../pcm-codec.js';
+import { verifyRecording, repairRecording, firstProblem } from '../integrity.js';
+import { finalizeRecovered, discardRecovered } from '../recovery.js';
+import { PROCESSOR_PRESETS } from '../dsp.js';
+import { getStorageHealth, requestPersistence, applyRetention } from '../storage-health.js';
+import { CLIP_LEVEL } from '../loudness.js';
 
 export function initHarnessUI({ recorder, storage }) {
   const $ = (id) => document.getElementById(id);
@@ -9,8 +16,40 @@ export function initHarnessUI({ recorder, storage }) {
   const btnPause   = $('btnPause');
   const btnResume  = $('btnResume');
   const btnStop    = $('btnStop');
+  const btnMark    = $('btnMark');
+  const btnArm     = $('btnArm');
   const btnRefresh = $('btnRefresh');
   const playerMode = $('playerMode');
+  const mimeTypeEl = $('mimeType');
+  const chunkSecondsEl = $('chunkSeconds');
+  const pcmEncodingEl = $('pcmEncoding');
+  const channelsEl = $('channels');
+  const inputDeviceEl = $('inputDevice');
+  const preRollEl = $('preRollSeconds');
+  const vadEnabledEl = $('vadEnabled');
+  const vadSilenceEl = $('vadSilenceSeconds');
+  const processingEl = $('processing');
+  const sourceModeEl = $('sourceMode');
+  const separateSourcesEl = $('separateSources');
+  const micGainEl = $('micGain');
+  const displayGainEl = $('displayGain');
+  const multiTrackEl = $('multiTrack');
+  const maxMinutesEl = $('maxMinutes');
+  const maxMegabytesEl = $('maxMegabytes');
+  const startAtEl = $('startAtTime');
+  const stopAtEl = $('stopAtTime');
+  const rolloverMinutesEl = $('rolloverMinutes');
+  const rolloverMegabytesEl = $('rolloverMegabytes');
+  let knownDevices = [];
+
+  // Storage panel
+  const storageUsage = $('storageUsage');
+  const btnPersist   = $('btnPersist');
+  const btnRetention = $('btnRetention');
+  const retainLastEl = $('retainLast');
+  const retainDaysEl = $('retainDays');
+  const retainMegabytesEl = $('retainMegabytes');
+  const retainAutoEl = $('retainAuto');
 
   // State chip
   const stateChip  = $('stateChip');
@@ -20,17 +59,35 @@ export function initHarnessUI({ recorder, storage }) {
   // Meters / session
   const liveLevelBar    = $('liveLevelBar');
   const liveLevelText   = $('liveLevelText');
+  const peakHoldEl      = $('peakHold');
+  const clipIndicator   = $('clipIndicator');
+  const loudnessText    = $('loudnessText');
   const sessionStatus   = $('sessionStatus');
   const sessionChunks   = $('sessionChunks');
   const sessionDuration = $('sessionDuration');
   const sessionSize     = $('sessionSize');
+  const sessionError    = $('sessionError');
+  const sessionMarker   = $('sessionMarker');
+  const sessionRemaining = $('sessionRemaining');
 
   // List
   const recordingsList = $('recordingsList');
+  const btnMore = $('btnMore');
+  const searchTextEl = $('searchText');
+  const searchTagsEl = $('searchTags');
+  const searchStatusEl = $('searchStatus');
+  const searchStarredEl = $('searchStarred');
+  const searchFromEl = $('searchFrom');
+  const searchToEl = $('searchTo');
+  const searchSortEl = $('searchSort');
+  const PAGE_SIZE = 50;
+  let listLimit = PAGE_SIZE;
   const player = Player({ storage });
 
   // Counters for the current live session
   let bytes = 0, chunks = 0;
+  let lastStatus = 'idle';
+  let lastReason;
 
   const fmtTime = (ms) => {
     const sec = Math.floor(ms / 1000);
@@ -45,6 +102,8 @@ export function initHarnessUI({ recorder, storage }) {
     pause:  'text-white bg-amber-600  hover:bg-amber-700',
     resume: 'text-white bg-indigo-600  hover:bg-indigo-700',
     stop:   'text-white bg-rose-600    hover:bg-rose-700',
+    mark:   'text-white bg-sky-600     hover:bg-sky-700',
+    arm:    'text-white bg-violet-600  hover:bg-violet-700',
   };
   function styleButton(btn, enabled) {
     const base = 'ctrl-btn';
@@ -55,20 +114,29 @@ export function initHarnessUI({ recorder, storage }) {
     }
     btn.disabled = !enabled;
   }
-  function setButtons({ start, pause, resume, stop }) {
+  function setButtons({ start, pause, resume, stop, arm = false }) {
     styleButton(btnStart,  !!start);
     styleButton(btnPause,  !!pause);
     styleButton(btnResume, !!resume);
     styleButton(btnStop,   !!stop);
+    // markers only make sense while a session is running (paused included)
+    if (btnMark) styleButton(btnMark, !!pause || !!resume);
+    // pre-roll needs the PCM engine
+    if (btnArm) styleButton(btnArm, !!arm && (recorder.engine ?? 'pcm') === 'pcm');
   }
 
   /* ---- State chip (icon + label) ---- */
-  function setStateChip(status) {
+  function setStateChip(status, reason) {
     // container color
     stateChip.className = 'flex items-center gap-2 px-3 py-1.5 rounded-full border ' +
       (status === 'recording'   ? 'bg-red-100    border-red-200    text-red-700'   :
        status === 'paused'      ? 'bg-amber-100  border-amber-200  text-amber-700' :
        status === 'requesting'  ? 'bg-sky-100    border-sky-200    text-sky-700'   :
+       status === 'interrupted' ? 'bg-rose-100   border-rose-200   text-rose-700'  :
+       status === 'armed'       ? 'bg-violet-100 border-violet-200 text-violet-700':
+       status === 'scheduled'   ? 'bg-sky-100    border-sky-200    text-sky-700'   :
+       status === 'finalizing'  ? 'bg-sky-100    border-sky-200    text-sky-700'   :
+       status === 'error'       ? 'bg-rose-100   border-rose-200   text-rose-700'  :
                                   'bg-slate-100  border-slate-200  text-slate-700');
 
     // icons (currentColor)
@@ -93,94 +161,460 @@ export function initHarnessUI({ recorder, storage }) {
         '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">' +
           '<path d="M12 2a10 10 0 100 20 10 10 0 000-20zm1 5v5.2l3 1.8-.9 1.46L11 13V7h2z"/>' +
         '</svg>',
+      armed:
+        '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">' +
+          '<circle cx="12" cy="12" r="4"/><path d="M12 2a10 10 0 100 20 10 10 0 000-20zm0 18a8 8 0 110-16 8 8 0 010 16z"/>' +
+        '</svg>',
+      interrupted:
+        '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">' +
+          '<path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/>' +
+        '</svg>',
     };
 
     const htmlIcon = status === 'recording'  ? ICONS.recording
                     : status === 'paused'     ? ICONS.paused
-                    : status === 'requesting' ? ICONS.requesting
+                    : status === 'requesting' || status === 'scheduled' ? ICONS.requesting
+                    : status === 'interrupted' || status === 'error' ? ICONS.interrupted
+                    : status === 'finalizing' ? ICONS.requesting
+                    : status === 'armed'      ? ICONS.armed
                                                : ICONS.stopped;
 
     stateIcon.outerHTML = `<span id="stateIcon" class="flex items-center">${htmlIcon}</span>`;
     stateIcon = $('stateIcon');
     stateLabel.textContent =
       status === 'recording'  ? 'Recording' :
-      status === 'paused'     ? 'Paused' :
+      status === 'paused'     ? (reason === 'vad' ? 'Paused – waiting for speech' : 'Paused') :
       status === 'requesting' ? 'Requesting mic…' :
+      status === 'interrupted'? (reason === 'audio-context-suspended' ? 'Audio suspended – press Resume' : 'Input lost – pick a device') :
+      status === 'finalizing' ? 'Saving…' :
+      status === 'error'      ? (reason === 'quota-exceeded' ? 'Stopped – storage full' : 'Stopped – recording failed') :
+      status === 'armed'      ? `Armed – keeping last ${Number(preRollEl?.value) || 0}s` :
+      status === 'scheduled'  ? `Scheduled – starts at ${new Date(recorder.scheduledAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` :
+      reason === 'limit'      ? 'Stopped – limit reached' :
+      reason === 'source-ended' ? 'Stopped – sharing ended' :
                                 'Stopped – not recording';
   }
 
-  function setStatus(s) {
+  function setStatus(s, reason) {
     // map internal 'ready' -> user-facing 'stopped'
     const chipState = (s === 'ready') ? 'stopped' : s;
-    setStateChip(chipState);
-    sessionStatus.textContent = s;
+    setStateChip(chipState, reason);
+    sessionStatus.textContent = reason ? `${s} (${reason})` : s;
 
     if (s === 'recording')      setButtons({ start:false, pause:true,  resume:false, stop:true  });
-    else if (s === 'paused')    setButtons({ start:false, pause:false, resume:true,  stop:true  });
+    // a VAD pause can still be turned into a real pause
+    else if (s === 'paused')    setButtons({ start:false, pause:reason === 'vad', resume:true, stop:true });
     else if (s === 'requesting')setButtons({ start:false, pause:false, resume:false, stop:false });
-    else                        setButtons({ start:true,  pause:false, resume:false, stop:false });
+    // a suspended AudioContext can be resumed from this click; a lost input needs another device
+    else if (s === 'interrupted')setButtons({ start:false, pause:false, resume:reason === 'audio-context-suspended', stop:true });
+    else if (s === 'finalizing') setButtons({ start:false, pause:false, resume:false, stop:false });
+    else if (s === 'armed')     setButtons({ start:true,  pause:false, resume:false, stop:false, arm:true });
+    else if (s === 'scheduled') setButtons({ start:true,  pause:false, resume:false, stop:true });
+    else                        setButtons({ start:true,  pause:false, resume:false, stop:false, arm:true });
+    if (btnArm) btnArm.querySelector('span').textContent = s === 'armed' ? 'Disarm' : 'Arm';
+
+    // session settings only apply to the next session (or arming)
+    const settingsLocked = ['recording', 'paused', 'interrupted', 'armed', 'requesting', 'finalizing'].includes(s);
+    for (const el of [mimeTypeEl, pcmEncodingEl, chunkSecondsEl, channelsEl, preRollEl, vadEnabledEl, vadSilenceEl, processingEl, sourceModeEl, separateSourcesEl, multiTrackEl, maxMinutesEl, maxMegabytesEl, startAtEl, stopAtEl, rolloverMinutesEl, rolloverMegabytesEl]) if (el) el.disabled = settingsLocked;
   }
 
   /* ---- Recorder events (keep in sync) ---- */
+  let vadState = '';
+  /* ---- dBFS meter: -60..0 dBFS, peak hold, clip latch ---- */
+  const METER_FLOOR_DB = -60;
+  const PEAK_HOLD_MS = 1500;
+  const PEAK_FALL_DB_PER_S = 20;
+  let holdDb = -Infinity, holdAt = 0, clipped = false;
+
+  const toDbfs = (v) => v > 0 ? 20 * Math.log10(v) : -Infinity;
+  const meterPct = (db) => Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+  const fmtDb = (db) => db === null || !isFinite(db) ? '-∞' : db.toFixed(1);
+
+  function setClipped(on) {
+    clipped = on;
+    clipIndicator?.classList.toggle('bg-rose-600', on);
+    clipIndicator?.classList.toggle('text-white', on);
+    clipIndicator?.classList.toggle('bg-slate-100', !on);
+    clipIndicator?.classList.toggle('text-slate-400', !on);
+  }
+  clipIndicator?.addEventListener('click', () => setClipped(false));
+
   recorder.on?.('meter', ({ rms, peak }) => {
-    const pct = Math.max(0, Math.min(100, Math.round(rms * 140)));
-    liveLevelBar.style.width = pct + '%';
-    liveLevelText.textContent = `RMS: ${rms.toFixed(2)} · Peak: ${peak.toFixed(2)}`;
+    const rmsDb = toDbfs(rms), peakDb = toDbfs(peak);
+    const now = performance.now();
+    if (peakDb >= holdDb) { holdDb = peakDb; holdAt = now; }
+    else if (now - holdAt > PEAK_HOLD_MS) holdDb = Math.max(peakDb, holdDb - PEAK_FALL_DB_PER_S * (now - holdAt - PEAK_HOLD_MS) / 1000);
+    if (peak >= CLIP_LEVEL && !clipped) setClipped(true);
+
+    liveLevelBar.style.width = meterPct(rmsDb) + '%';
+    liveLevelBar.classList.toggle('bg-emerald-500', peakDb < -6);
+    liveLevelBar.classList.toggle('bg-amber-500', peakDb >= -6 && peakDb < -1);
+    liveLevelBar.classList.toggle('bg-rose-500', peakDb >= -1);
+    if (peakHoldEl) peakHoldEl.style.left = `calc(${meterPct(holdDb)}% - 2px)`;
+    liveLevelText.textContent = `RMS: ${fmtDb(rmsDb)} dBFS · Peak: ${fmtDb(peakDb)} dBFS · Hold: ${fmtDb(holdDb)}`
+      + (vadState ? ` · VAD: ${vadState}` : '');
+  });
+
+  recorder.on?.('loudness', (l) => {
+    if (l.clipCount > 0 && !clipped) setClipped(true);
+    if (loudnessText) loudnessText.textContent =
+      `M ${fmtDb(l.momentaryLufs)} · S ${fmtDb(l.shortTermLufs)} · I ${fmtDb(l.integratedLufs)} LUFS`
+      + ` · TP ${fmtDb(l.truePeakDbtp)} dBTP · Clips ${l.clipCount}`;
   });
 
-  recorder.on?.('status', ({ status }) => {
-    setStatus(status);
-    if (status === 'recording') {
+  recorder.on?.('vad', ({ state }) => { vadState = state; });
+
+  recorder.on?.('status', ({ status, reason }) => {
+    setStatus(status, reason);
+    if (status === 'idle' || status === 'ready') vadState = '';
+    const resumed = lastStatus === 'paused' || lastStatus === 'interrupted';
+    if (status === 'recording' && !resumed) {
       bytes = 0; chunks = 0;
       sessionChunks.textContent = '0';
       sessionSize.textContent = '0 KB';
+      showError('');
+      setClipped(false);
+      if (loudnessText) loudnessText.textContent = '';
+      if (sessionMarker) sessionMarker.textContent = '';
+      if (sessionRemaining) sessionRemaining.textContent = '–';
+      refreshDevices().catch(console.error); // labels are only exposed after permission
     }
-    if (status === 'ready' || status === 'idle') refreshRecordings().catch(console.error);
+    if (status === 'ready' && retainAutoEl?.checked) runRetention().catch(console.error);
+    else if (status === 'ready' || status === 'idle' || status === 'error') refreshRecordings().catch(console.error);
+    // a fired schedule is used up
+    if (status === 'recording' && startAtEl?.value && !recorder.scheduledAt) startAtEl.value = '';
+    lastStatus = status;
+    lastReason = reason;
+    // a passed stop time rolls over to tomorrow for the next session
+    if (status === 'ready' && stopAtEl?.value) applySettings();
+  });
+
+  recorder.on?.('error', (e) => showError(e?.message || String(e)));
+
+  recorder.on?.('source', ({ source, state }) => {
+    if (source === 'display' && state === 'ended') showError('Tab/system audio sharing ended');
+  });
+
+  const LIMIT_LABELS = { 'max-duration': 'maximum duration', 'max-bytes': 'maximum size', 'stop-time': 'scheduled stop time',
+    'storage-low': 'storage space limit' };
+  recorder.on?.('limit', ({ limit }) => showError(`Stopped: ${LIMIT_LABELS[limit] || limit} reached`));
+
+  recorder.on?.('quota', ({ level, available }) => {
+    if (level === 'warn') showError(`Storage is running low: ${fmtBytes(available)} left`);
+    refreshStorage().catch(console.error);
+  });
+
+  recorder.on?.('rollover', ({ part }) => {
+    if (sessionMarker) sessionMarker.textContent = `Continuing in part ${part}`;
+    refreshRecordings().catch(console.error);
+  });
+
+  recorder.on?.('marker', (m) => {
+    if (sessionMarker) sessionMarker.textContent = `Marker "${m.label}" at ${fmtTime(m.atMs)}`;
   });
 
+  function showError(msg) {
+    if (!sessionError) return;
+    sessionError.textContent = msg;
+    sessionError.classList.toggle('hidden', !msg);
+  }
+
   recorder.on?.('chunk', ({ size }) => {
     chunks += 1; bytes += size;
     sessionChunks.textContent = String(chunks);
     sessionSize.textContent = fmtBytes(bytes);
   });
-  recorder.on?.('stats', (s) => { sessionDuration.textContent = fmtTime(s?.durationMs || 0); });
+  recorder.on?.('stats', (s) => {
+    sessionDuration.textContent = fmtTime(s?.durationMs || 0);
+    if (!sessionRemaining) return;
+    const left = [];
+    if (s?.remainingMs != null) left.push(fmtTime(s.remainingMs));
+    if (s?.remainingBytes != null) left.push(fmtBytes(s.remainingBytes));
+    sessionRemaining.textContent = left.length ? left.join(' · ') : '–';
+  });
 
-  /* ---- Buttons: make UI optimistic ---- */
+  /* ---- Buttons: the recorder's status events drive the UI ---- */
+  // (it emits 'requesting' itself, before any permission prompt shows)
   btnStart.addEventListener('click', async () => {
-    try {
-      // immediate visual feedback while permission prompt shows
-      setStatus('requesting');
-      await recorder.start();          // may show a browser permission sheet
-      setStatus('recording');          // in case the status event is delayed/missed
-    } catch (e) {
-      console.error(e);
-      setStatus('idle');
-      alert('Failed to start: ' + (e.message || e));
-    }
+    // asked once, on a user gesture (some browsers prompt for it)
+    if (!persistAsked) { persistAsked = true; requestPersistence().then(() => refreshStorage()).catch(console.error); }
+    try { await recorder.start(); }   // may show a browser permission sheet
+    catch (e) { console.error(e); alert('Failed to start: ' + (e.message || e)); }
   });
 
   btnPause.addEventListener('click', async () => {
-    try { await recorder.pause(); setStatus('paused'); }
-    catch (e) { console.error(e); alert('Failed to pause'); }
+    try { await recorder.pause(); }
+    catch (e) { console.error(e); alert('Failed to pause: ' + (e.message || e)); }
   });
 
   btnResume.addEventListener('click', async () => {
-    try { await recorder.resume(); setStatus('recording'); }
-    catch (e) { console.error(e); alert('Failed to resume'); }
+    try { await recorder.resume(); }
+    catch (e) { console.error(e); alert('Failed to resume: ' + (e.message || e)); }
   });
 
   btnStop.addEventListener('click', async () => {
-    try { await recorder.stop(); setStatus('idle'); }
-    catch (e) { console.error(e); alert('Failed to stop'); }
+    try { await recorder.stop(); }
+    catch (e) { console.error(e); alert('Failed to stop: ' + (e.message || e)); }
+  });
+
+  btnArm?.addEventListener('click', async () => {
+    try {
+      if (lastStatus === 'armed') { await recorder.disarm?.(); return; }
+      await recorder.arm?.();
+    } catch (e) {
+      console.error(e);
+      alert('Failed to arm: ' + (e.message || e));
+    }
   });
 
+  btnMark?.addEventListener('click', () => addMarker());
+
+  // M adds a marker, unless the user is typing somewhere
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'm' && e.key !== 'M') return;
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target?.closest?.('input, textarea, select, [contenteditable]')) return;
+    if (btnMark?.disabled) return;
+    e.preventDefault();
+    addMarker();
+  });
+
+  async function addMarker() {
+    try { await recorder.mark?.(); }
+    catch (e) { console.error(e); showError('Failed to add marker'); }
+  }
+
   btnRefresh?.addEventListener('click', () => refreshRecordings().catch(console.error));
 
+  /* ---- Storage: usage, persistence, retention ---- */
+  let persistAsked = false;
+
+  async function refreshStorage() {
+    if (!storageUsage) return;
+    const h = await getStorageHealth();
+    storageUsage.textContent = h.supported
+      ? `Used ${fmtBytes(h.usage)} of ${fmtBytes(h.quota)} (${(h.usedRatio * 100).toFixed(1)}%) · ${fmtBytes(h.available)} free`
+        + ` · ${h.persisted ? 'persistent' : 'may be evicted by the browser'}`
+      : 'Storage estimate not available in this browser';
+    if (btnPersist) btnPersist.disabled = h.persisted;
+  }
+
+  const retentionPolicy = () => ({
+    keepLast: Number(retainLastEl?.value) || null,
+    maxAgeDays: Number(retainDaysEl?.value) || null,
+    maxBytes: Number(retainMegabytesEl?.value) > 0 ? Number(retainMegabytesEl.value) * 1024 * 1024 : null
+  });
+
+  async function runRetention() {
+    // never the session being recorded right now
+    const protect = [recorder.getState?.()?.recordingId].filter(Boolean);
+    const deleted = await applyRetention(storage, retentionPolicy(), { protect });
+    if (deleted.length && sessionMarker) sessionMarker.textContent = `Retention deleted ${deleted.length} recording(s)`;
+    await refreshRecordings();
+    return deleted;
+  }
+
+  btnPersist?.addEventListener('click', async () => {
+    persistAsked = true;
+    try {
+      if (!(await requestPersistence())) alert('The browser did not grant persistent storage');
+      await refreshStorage();
+    } catch (e) { console.error(e); alert('Failed to request persistence: ' + (e.message || e)); }
+  });
+
+  btnRetention?.addEventListener('click', async () => {
+    const p = retentionPolicy();
+    if (!p.keepLast && !p.maxAgeDays && !p.maxBytes) { alert('Set a retention rule first'); return; }
+    if (!confirm('Delete every recording these rules expire? Starred recordings are kept.')) return;
+    try {
+      const deleted = await runRetention();
+      alert(deleted.length ? `Deleted ${deleted.length} recording(s)` : 'Nothing to delete');
+    } catch (e) { console.error(e); alert('Retention failed: ' + (e.message || e)); }
+  });
+
+  /* ---- Session settings ---- */
+  function applySettings() {
+    try {
+      recorder.configure?.({
+        mimeType: mimeTypeEl?.value,
+        encoding: pcmEncodingEl?.value || 's16',
+        chunkSeconds: Number(chunkSecondsEl?.value) || 2,
+        channels: Number(channelsEl?.value) || 1,
+        preRollSeconds: Math.max(0, Number(preRollEl?.value) || 0),
+        vad: vadEnabledEl?.checked
+          ? { autoPause: true, silenceMs: Math.max(0.5, Number(vadSilenceEl?.value) || 2) * 1000 }
+          : null,
+        processors: PROCESSOR_PRESETS[processingEl?.value] || [],
+        sources: multiTrackEl?.checked ? null : sourcesFromUi(),
+        tracks: multiTrackEl?.checked ? tracksFromDevices() : null,
+        maxDurationMs: Math.max(0, Number(maxMinutesEl?.value) || 0) * 60000 || null,
+        maxBytes: Math.max(0, Number(maxMegabytesEl?.value) || 0) * 1048576 || null,
+        startAt: nextTimeOfDay(startAtEl?.value),
+        stopAt: nextTimeOfDay(stopAtEl?.value),
+        rolloverMs: Math.max(0, Number(rolloverMinutesEl?.value) || 0) * 60000 || null,
+        rolloverBytes: Math.max(0, Number(rolloverMegabytesEl?.value) || 0) * 1048576 || null
+      });
+      setStatus(lastStatus, lastReason); // Arm availability depends on the format
+    } catch (e) { console.error(e); }
+  }
+  // 'HH:MM' → the next time the clock shows it (today, or tomorrow if already past)
+  function nextTimeOfDay(value) {
+    if (!value) return null;
+    const [h, m] = value.split(':').map(Number);
+    const at = new Date();
+    at.setHours(h, m, 0, 0);
+    if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+    return at.getTime();
+  }
+  // physical inputs only: 'default'/'communications' alias one of them
+  function tracksFromDevices() {
+    return knownDevices
+      .filter(d => d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Input ${i + 1}` }));
+  }
+  function sourcesFromUi() {
+    const mode = sourceModeEl?.value || 'mic';
+    return {
+      mic: mode !== 'display' ? { gain: Number(micGainEl?.value ?? 1) } : null,
+      display: mode !== 'mic' ? { gain: Number(displayGainEl?.value ?? 1) } : null,
+      separate: mode === 'mix' && !!separateSourcesEl?.checked
+    };
+  }
+  // dragging moves the level; letting go logs it and saves the manifest
+  for (const [name, el] of [['mic', micGainEl], ['display', displayGainEl]]) {
+    el?.addEventListener('input', () => recorder.setSourceGain?.(name, Number(el.value), { save: false }).catch(console.error));
+    el?.addEventListener('change', () => recorder.setSourceGain?.(name, Number(el.value)).catch(console.error));
+  }
+
+  /* ---- Input device ---- */
+  async function refreshDevices() {
+    if (!inputDeviceEl || !recorder.listDevices) return;
+    const devices = await recorder.listDevices();
+    knownDevices = devices;
+    if (multiTrackEl?.checked && !multiTrackEl.disabled) applySettings(); // ids/labels appear after permission
+    const selected = inputDeviceEl.value;
+    inputDeviceEl.innerHTML = '<option value="">Default input</option>' + devices.map((d, i) =>
+      `<option value="${escapeHtml(d.deviceId)}">${escapeHtml(d.label || `Input ${i + 1}`)}</option>`).join('');
+    if (devices.some(d => d.deviceId === selected)) inputDeviceEl.value = selected;
+  }
+  inputDeviceEl?.addEventListener('change', async () => {
+    try { await recorder.setDevice?.(inputDeviceEl.value || null); showError(''); }
+    catch (e) { console.error(e); showError('Could not switch input: ' + (e.message || e)); }
+  });
+  navigator.mediaDevices?.addEventListener?.('devicechange', () => refreshDevices().catch(console.error));
+
+  mimeTypeEl?.addEventListener('change', applySettings);
+  chunkSecondsEl?.addEventListener('change', applySettings);
+  pcmEncodingEl?.addEventListener('change', applySettings);
+  channelsEl?.addEventListener('change', applySettings);
+  preRollEl?.addEventListener('change', applySettings);
+  vadEnabledEl?.addEventListener('change', applySettings);
+  vadSilenceEl?.addEventListener('change', applySettings);
+  processingEl?.addEventListener('change', applySettings);
+  sourceModeEl?.addEventListener('change', applySettings);
+  multiTrackEl?.addEventListener('change', applySettings);
+  separateSourcesEl?.addEventListener('change', applySettings);
+  maxMinutesEl?.addEventListener('change', applySettings);
+  maxMegabytesEl?.addEventListener('change', applySettings);
+  startAtEl?.addEventListener('change', applySettings);
+  stopAtEl?.addEventListener('change', applySettings);
+  rolloverMinutesEl?.addEventListener('change', applySettings);
+  rolloverMegabytesEl?.addEventListener('change', applySettings);
+
   /* ---- Recordings list ---- */
+  // the search bar as a queryRecordings() query; date inputs are local days, To included
+  function searchQuery() {
+    const day = (value, plusDays = 0) => {
+      if (!value) return null;
+      const d = new Date(`${value}T00:00`);
+      d.setDate(d.getDate() + plusDays);
+      return d.getTime();
+    };
+    return {
+      text: searchTextEl?.value || '',
+      tags: searchTagsEl?.value || '',
+      status: searchStatusEl?.value || [],
+      starred: searchStarredEl?.checked ? true : null,
+      from: day(searchFromEl?.value),
+      to: day(searchToEl?.value, 1),
+      sort: searchSortEl?.value || 'newest',
+      limit: listLimit
+    };
+  }
+
+  let searchTimer = 0;
+  function onSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => { listLimit = PAGE_SIZE; refreshRecordings().catch(console.error); }, 200);
+  }
+  for (const el of [searchTextEl, searchTagsEl]) el?.addEventListener('input', onSearch);
+  for (const el of [searchStatusEl, searchStarredEl, searchFromEl, searchToEl, searchSortEl]) el?.addEventListener('change', onSearch);
+  btnMore?.addEventListener('click', () => { listLimit += PAGE_SIZE; refreshRecordings().catch(console.error); });
+
   async function refreshRecordings() {
-    const list = await storage.listRecordings();
+    refreshStorage().catch(console.error);
+    const list = await storage.queryRecordings(searchQuery());
+    btnMore?.classList.toggle('hidden', list.length < listLimit);
     recordingsList.innerHTML = '';
-    for (const rec of list) recordingsList.appendChild(renderRecordingItem(rec));
+    // parts of a rolled-over session are shown together, where its newest part sorts
+    const sessions = new Map();
+    for (const rec of list) {
+      if (!rec.sessionId) { recordingsList.appendChild(renderRecordingItem(rec)); continue; }
+      if (!sessions.has(rec.sessionId)) {
+        const group = { parts: [], el: null };
+        sessions.set(rec.sessionId, group);
+        group.el = recordingsList.appendChild(document.createElement('li'));
+      }
+      sessions.get(rec.sessionId).parts.push(rec);
+    }
+    for (const [sessionId, { parts, el }] of sessions) {
+      el.replaceWith(renderSessionGroup(sessionId, parts.sort((a, b) => a.part - b.part)));
+    }
+  }
+
+  function renderSessionGroup(sessionId, parts) {
+    const el = document.createElement('li');
+    el.className = 'border border-slate-300 rounded-xl p-3 bg-slate-50 space-y-2';
+    const totalMs = parts.reduce((n, p) => n + (p.durationMs || 0), 0);
+    const live = parts.some(p => p.status === 'recording');
+    el.innerHTML = `
+      <div class="flex items-center justify-between gap-2">
+        <div class="min-w-0">
+          <div class="text-sm text-slate-500">${new Date(parts[0].createdAt).toLocaleString()} · Session</div>
+          <div class="text-xs text-slate-500">${parts.length} part${parts.length === 1 ? '' : 's'} · ${fmtTime(totalMs)}${live ? ' · recording' : ''}</div>
+        </div>
+        <div class="flex items-center gap-2">
+          <button class="px-2 py-1 border rounded text-sm" data-act="stitch" ${live ? 'disabled' : ''}>Export all (stitched)</button>
+          <button class="px-2 py-1 border rounded text-sm text-rose-600" data-act="delete-session" ${live ? 'disabled' : ''}>Delete all</button>
+        </div>
+      </div>
+      <ul class="space-y-2" data-parts></ul>
+    `;
+    const list = el.querySelector('[data-parts]');
+    for (const rec of parts) list.appendChild(renderRecordingItem(rec));
+
+    el.querySelector('[data-act="stitch"]').addEventListener('click', async () => {
+      try {
+        const loaded = await Promise.all(parts.map(async (p) => {
+          const manifest = await storage.getManifest(p.id);
+          const chunksByTrack = await Promise.all(pcmTracks(manifest).map((_, t) => storage.getChunksWithTiming(p.id, { track: t })));
+          return { manifest, chunksByTrack };
+        }));
+        const url = await buildStitchedWavUrl(loaded, player.mixState(parts[0].id));
+        const a = document.createElement('a'); a.href = url; a.download = `session-${sessionId}.wav`;
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(()=>URL.revokeObjectURL(url), 20000);
+      } catch (e) { console.error(e); alert('Export failed: ' + (e.message || e)); }
+    });
+
+    el.querySelector('[data-act="delete-session"]').addEventListener('click', async () => {
+      const ok = confirm(`Delete all ${parts.length} parts of this session permanently?`);
+      if (!ok) return;
+      try { for (const p of parts) await storage.deleteRecording(p.id); el.remove(); }
+      catch (e) { console.error(e); alert('Delete failed'); }
+    });
+
+    return el;
   }
 
   function renderRecordingItem(rec) {
@@ -189,15 +623,29 @@ export function initHarnessUI({ recorder, storage }) {
     el.innerHTML = `
       <div class="flex items-center justify-between gap-2">
         <div class="min-w-0">
+          ${rec.title ? `<div class="font-medium">${escapeHtml(rec.title)}</div>` : ''}
           <div class="text-sm text-slate-500">${new Date(rec.createdAt).toLocaleString()}</div>
-          <div class="text-sm break-all font-mono">${rec.id}</div>
-          <div class="text-xs text-slate-500">Type: ${rec.mimeType} · Duration: ${(rec.durationMs/1000||0).toFixed(1)}s</div>
+          <div class="text-sm break-all font-mono ${rec.title ? 'text-xs text-slate-400' : ''}">${rec.id}</div>
+          <div class="text-xs text-slate-500">${rec.sessionId ? `Part ${rec.part} · ` : ''}Type: ${rec.mimeType} · Duration: ${(rec.durationMs/1000||0).toFixed(1)}s</div>
+          ${rec.tags?.length ? `<div class="mt-1 flex flex-wrap gap-1">${rec.tags.map(t => `<span class="badge">${escapeHtml(t)}</span>`).join('')}</div>` : ''}
+          ${rec.notes ? `<div class="mt-1 text-xs text-slate-600 truncate">${escapeHtml(rec.notes.split('\n')[0].slice(0, 160))}</div>` : ''}
+          ${rec.status === 'recovered' ? `
+          <div class="mt-1 flex items-center gap-2 text-xs text-amber-700" data-recovered>
+            <span class="badge">recovered</span>
+            <span>Interrupted session.</span>
+            <button class="px-2 py-0.5 border border-amber-300 rounded" data-act="finalize">Finalize</button>
+            <button class="px-2 py-0.5 border border-amber-300 rounded" data-act="discard">Discard</button>
+          </div>` : ''}
         </div>
         <div class="flex items-center gap-2">
+          <button class="px-2 py-1 border rounded text-sm ${rec.starred ? 'text-amber-500' : 'text-slate-400'}" data-act="star"
+                  title="${rec.starred ? 'Starred: kept by retention' : 'Star to keep it from retention'}">${rec.starred ? '★' : '☆'}</button>
+          <button class="px-2 py-1 border rounded text-sm" data-act="edit">Edit</button>
           <button class="px-2 py-1 border rounded text-sm" data-act="play">Play</button>
           <button class="px-2 py-1 border rounded text-sm" data-act="export">Export</button>
           <button class="px-2 py-1 border rounded text-sm" data-act="manifest">Manifest</button>
           <button class="px-2 py-1 border rounded text-sm" data-act="inspect">Inspect</button>
+          <button class="px-2 py-1 border rounded text-sm" data-act="verify">Verify</button>
           <button class="px-2 py-1 border rounded text-sm text-rose-600" data-act="delete">Delete</button>
         </div>
       </div>
@@ -207,6 +655,46 @@ export function initHarnessUI({ recorder, storage }) {
     const id = rec.id;
     const detail = el.querySelector('[data-detail]');
 
+    el.querySelector('[data-act="star"]').addEventListener('click', async () => {
+      try {
+        const row = await storage.getRecording(id);
+        if (!row) return;
+        await storage.setMetadata(id, { starred: !row.starred });
+        await refreshRecordings();
+      } catch (e) { console.error(e); alert('Failed to star: ' + (e.message || e)); }
+    });
+
+    el.querySelector('[data-act="edit"]').addEventListener('click', async () => {
+      try {
+        const row = await storage.getRecording(id);
+        if (!row) return;
+        detail.classList.remove('hidden');
+        detail.innerHTML = `
+          <div class="grid gap-2 text-sm">
+            <label class="text-slate-600">Title
+              <input data-meta="title" type="text" class="mt-1 w-full px-2 py-1.5 border border-slate-300 rounded-lg" /></label>
+            <label class="text-slate-600">Tags (comma separated)
+              <input data-meta="tags" type="text" class="mt-1 w-full px-2 py-1.5 border border-slate-300 rounded-lg" /></label>
+            <label class="text-slate-600">Notes
+              <textarea data-meta="notes" rows="3" class="mt-1 w-full px-2 py-1.5 border border-slate-300 rounded-lg"></textarea></label>
+            <div><button class="px-3 py-1.5 rounded-lg border border-slate-300" data-meta-save>Save</button></div>
+          </div>
+        `;
+        // values set as properties, so nothing typed is parsed as HTML
+        const field = (name) => detail.querySelector(`[data-meta="${name}"]`);
+        field('title').value = row.title || '';
+        field('tags').value = (row.tags || []).join(', ');
+        field('notes').value = row.notes || '';
+        field('title').focus();
+        detail.querySelector('[data-meta-save]').addEventListener('click', async () => {
+          try {
+            await storage.setMetadata(id, { title: field('title').value, tags: field('tags').value, notes: field('notes').value });
+            await refreshRecordings();
+          } catch (e) { console.error(e); alert('Failed to save: ' + (e.message || e)); }
+        });
+      } catch (e) { console.error(e); alert('Edit failed: ' + (e.message || e)); }
+    });
+
     el.querySelector('[data-act="play"]').addEventListener('click', async () => {
       try { await player.playInto(detail, id, playerMode?.value || 'mse'); }
       catch (e) { console.error(e); alert('Failed to play: ' + (e.message || e)); }
@@ -215,13 +703,18 @@ export function initHarnessUI({ recorder, storage }) {
     el.querySelector('[data-act="export"]').addEventListener('click', async () => {
       try {
         const manifest = await storage.getManifest(id);
-        const chunks = await storage.getChunksWithTiming(id);
-        if (manifest?.format === 'pcm-f32') {
-          const url = await assembleWavUrl(chunks, manifest.sampleRate || 48000);
-          const a = document.createElement('a'); a.href = url; a.download = `recording-${id}.wav`;
+        if (isPcmFormat(manifest?.format)) {
+          // every track is read; multi-track: mixdown of what the player's solo/mute leaves audible
+          const tracks = pcmTracks(manifest);
+          const chunksByTrack = await Promise.all(tracks.map((_, t) => storage.getChunksWithTiming(id, { track: t })));
+          const url = tracks.length > 1
+            ? await buildMixdownWavUrl(chunksByTrack, manifest, player.mixState(id))
+            : await buildWavUrl(chunksByTrack[0], manifest);
+          const a = document.createElement('a'); a.href = url; a.download = `recording-${id}${tracks.length > 1 ? '-mix' : ''}.wav`;
           document.body.appendChild(a); a.click(); a.remove();
           setTimeout(()=>URL.revokeObjectURL(url), 20000);
         } else {
+          const chunks = await storage.getChunksWithTiming(id);
           const type = chunks[0]?.blob?.type || 'audio/webm';
           const url = URL.createObjectURL(new Blob(chunks.map(c=>c.blob), { type }));
           const a = document.createElement('a'); a.href = url; a.download = `recording-${id}.${type.includes('mp4')?'m4a':'webm'}`;
@@ -244,13 +737,61 @@ export function initHarnessUI({ recorder, storage }) {
     el.querySelector('[data-act="inspect"]').addEventListener('click', async () => {
       try {
         const rows = await storage.getChunksWithTiming(id);
+        const manifest = await storage.getManifest(id);
+        const segments = manifest?.segments || [];
+        const markers = manifest?.markers || [];
+        // a chunk "holds" a pause when a segment ends inside it (not at the very end of the recording)
+        const pauseAt = segments.slice(0, -1).map(s => s.endMs);
         const html = rows.map(r=>`<tr>
           <td class="px-2 py-1">${r.index}</td>
           <td class="px-2 py-1">${(r.size/1024).toFixed(1)} KB</td>
-          <td class="px-2 py-1">${(r.startMs/1000).toFixed(2)}s → ${(r.endMs/1000).toFixed(2)}s</td>
+          <td class="px-2 py-1">${(r.startMs/1000).toFixed(2)}s → ${(r.endMs/1000).toFixed(2)}s
+            ${pauseAt.some(ms => ms > r.startMs && ms <= r.endMs) ? '<span class="badge">pause</span>' : ''}</td>
         </tr>`).join('');
+        const segHtml = segments.map((s, i) => {
+          const next = segments[i + 1];
+          const gap = next && s.endedAt ? `${((next.startedAt - s.endedAt)/1000).toFixed(1)}s` : '—';
+          return `<tr>
+            <td class="px-2 py-1">${i}</td>
+            <td class="px-2 py-1">${(s.startMs/1000).toFixed(2)}s → ${s.endMs == null ? '…' : (s.endMs/1000).toFixed(2) + 's'}</td>
+            <td class="px-2 py-1">${new Date(s.startedAt).toLocaleTimeString()}${s.endedAt ? ' → ' + new Date(s.endedAt).toLocaleTimeString() : ''}</td>
+            <td class="px-2 py-1">${gap}</td>
+          </tr>`;
+        }).join('');
+        const markerHtml = markers.map(m => `<tr>
+            <td class="px-2 py-1">${(m.atMs/1000).toFixed(2)}s</td>
+            <td class="px-2 py-1">${escapeHtml(m.label)}</td>
+            <td class="px-2 py-1 text-right"><button class="px-2 py-0.5 border rounded text-xs" data-seek="${m.atMs}">Play from here</button></td>
+          </tr>`).join('');
+        const overview = await storage.getOverview?.(id, { bins: 600 });
+        const l = manifest?.loudness;
+        const loudHtml = l ? `<div class="text-sm text-slate-600">
+            Integrated ${fmtDb(l.integratedLufs)} LUFS · Max momentary ${fmtDb(l.maxMomentaryLufs)} · Max short-term ${fmtDb(l.maxShortTermLufs)}
+            · True peak ${fmtDb(l.truePeakDbtp)} dBTP · Sample peak ${fmtDb(l.samplePeakDbfs)} dBFS
+            · ${l.clipCount ? `<span class="text-rose-600 font-medium">${l.clipCount} clipped samples</span>` : 'no clipping'}
+          </div>` : '';
         detail.classList.remove('hidden');
         detail.innerHTML = `
+          ${overview ? '<canvas data-waveform width="600" height="64" class="w-full h-16 bg-slate-50 border border-slate-200 rounded"></canvas>' : ''}
+          ${loudHtml}
+          ${markers.length ? `
+          <div class="overflow-x-auto border border-slate-200 rounded">
+            <table class="min-w-full text-sm">
+              <thead class="bg-slate-50 text-slate-600">
+                <tr><th class="text-left px-2 py-1">Marker at</th><th class="text-left px-2 py-1">Label</th><th></th></tr>
+              </thead>
+              <tbody>${markerHtml}</tbody>
+            </table>
+          </div>` : ''}
+          ${segments.length ? `
+          <div class="overflow-x-auto border border-slate-200 rounded">
+            <table class="min-w-full text-sm">
+              <thead class="bg-slate-50 text-slate-600">
+                <tr><th class="text-left px-2 py-1">Segment</th><th class="text-left px-2 py-1">Timeline</th><th class="text-left px-2 py-1">Wall clock</th><th class="text-left px-2 py-1">Pause after</th></tr>
+              </thead>
+              <tbody>${segHtml}</tbody>
+            </table>
+          </div>` : ''}
           <div class="overflow-x-auto border border-slate-200 rounded">
             <table class="min-w-full text-sm">
               <thead class="bg-slate-50 text-slate-600">
@@ -260,9 +801,31 @@ export function initHarnessUI({ recorder, storage }) {
             </table>
           </div>
         `;
+        if (overview) drawWaveform(detail.querySelector('[data-waveform]'), overview);
+        detail.querySelectorAll('[data-seek]').forEach(btn => btn.addEventListener('click', async () => {
+          try { await player.playInto(detail, id, playerMode?.value || 'mse', { startAtMs: Number(btn.dataset.seek) }); }
+          catch (e) { console.error(e); alert('Failed to play: ' + (e.message || e)); }
+        }));
       } catch (e) { console.error(e); alert('Inspect failed'); }
     });
 
+    el.querySelector('[data-act="verify"]').addEventListener('click', async () => {
+      try { renderVerify(detail, id, await verifyRecording(storage, id)); }
+      catch (e) { console.error(e); alert('Verify failed: ' + (e.message || e)); }
+    });
+
+    el.querySelector('[data-act="finalize"]')?.addEventListener('click', async () => {
+      try { await finalizeRecovered(storage, id); el.querySelector('[data-recovered]')?.remove(); }
+      catch (e) { console.error(e); alert('Finalize failed'); }
+    });
+
+    el.querySelector('[data-act="discard"]')?.addEventListener('click', async () => {
+      const ok = confirm('Discard this interrupted recording?');
+      if (!ok) return;
+      try { await discardRecovered(storage, id); el.remove(); }
+      catch (e) { console.error(e); alert('Discard failed'); }
+    });
+
     el.querySelector('[data-act="delete"]').addEventListener('click', async () => {
       const ok = confirm('Delete this recording permanently?');
       if (!ok) return;
@@ -273,29 +836,70 @@ export function initHarnessUI({ recorder, storage }) {
     return el;
   }
 
-  async function assembleWavUrl(chunks, rate) {
-    let total = 0; const parts = [];
-    for (const c of chunks) { const ab = await c.blob.arrayBuffer(); const f = new Float32Array(ab); total += f.length; parts.push(f); }
-    const f32 = new Float32Array(total);
-    let off = 0; for (const p of parts) { f32.set(p, off); off += p.length; }
-    const wav = pcm16Wav(f32, rate);
-    return URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+  // Verify report with the repairs that apply: silence for PCM holes/damage, truncation for any problem
+  async function renderVerify(detail, id, report) {
+    const manifest = await storage.getManifest(id);
+    const fillable = isPcmFormat(manifest?.format)
+      && report.tracks.some(t => t.missing.length || t.hashFailures.length || t.sizeMismatches.length);
+    const cut = firstProblem(report);
+    const list = (label, items) => items.length ? `<li>${label}: ${items.slice(0, 20).join(', ')}${items.length > 20 ? ` … (${items.length})` : ''}</li>` : '';
+    const ms = (v) => `${(v/1000).toFixed(2)}s`;
+    const trackHtml = report.tracks.map(t => `
+      <div class="text-sm">
+        <div class="font-medium">${report.tracks.length > 1 ? `Track ${t.track + 1} · ` : ''}${t.chunks} chunks
+          · chain ${t.chain}${t.unchained ? ` (${t.unchained} after it)` : ''}${t.unhashed ? ` · ${t.unhashed} without checksum` : ''}</div>
+        <ul class="list-disc pl-5 text-slate-600">
+          ${list('Missing chunks', t.missing)}
+          ${list('Gaps', t.gaps.map(g => `#${g.index} ${ms(g.fromMs)} → ${ms(g.toMs)}`))}
+          ${list('Overlaps', t.overlaps.map(o => `#${o.index} ${ms(o.fromMs)} → ${ms(o.toMs)}`))}
+          ${list('Size mismatches', t.sizeMismatches.map(s => `#${s.index} (${s.actual} B, expected ${s.expected ?? s.size} B)`))}
+          ${list('Checksum failures', t.hashFailures.map(i => `#${i}`))}
+        </ul>
+      </div>`).join('');
+    detail.classList.remove('hidden');
+    detail.innerHTML = `
+      <div class="text-sm ${report.ok ? 'text-emerald-700' : 'text-rose-600'} font-medium">
+        ${report.ok ? 'All chunks verified' : `${report.problems} problem(s) found`}
+      </div>
+      ${trackHtml}
+      ${report.ok ? '' : `
+      <div class="flex items-center gap-2">
+        ${fillable ? '<button class="px-2 py-1 border rounded text-sm" data-repair="fill-silence">Fill with silence</button>' : ''}
+        ${cut !== null ? `<button class="px-2 py-1 border rounded text-sm text-rose-600" data-repair="truncate">Truncate at chunk ${cut}</button>` : ''}
+        ${cut === null ? '<button class="px-2 py-1 border rounded text-sm" data-repair="truncate">Rebuild checksum chain</button>' : ''}
+      </div>`}
+    `;
+    detail.querySelectorAll('[data-repair]').forEach(btn => btn.addEventListener('click', async () => {
+      const action = btn.dataset.repair;
+      if (action === 'truncate' && cut !== null && !confirm(`Delete chunk ${cut} and everything after it?`)) return;
+      try {
+        const after = await repairRecording(storage, id, { action, report });
+        await refreshRecordings();
+        alert(after.ok ? 'Repaired' : `Repaired; ${after.problems} problem(s) remain`);
+      } catch (e) { console.error(e); alert('Repair failed: ' + (e.message || e)); }
+    }));
   }
-  function pcm16Wav(float32, sampleRate) {
-    const numChannels = 1, bytesPerSample = 2, blockAlign = numChannels * bytesPerSample, byteRate = sampleRate * blockAlign;
-    const dataSize = float32.length * bytesPerSample, buffer = new ArrayBuffer(44 + dataSize), view = new DataView(buffer);
-    writeString(view, 0, 'RIFF'); view.setUint32(4, 36 + dataSize, true); writeString(view, 8, 'WAVE');
-    writeString(view, 12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
-    writeString(view, 36, 'data'); view.setUint32(40, dataSize, true); view.setUint16(22, 1, true);
-    view.setUint32(24, sampleRate, true); view.setUint32(28, byteRate, true); view.setUint16(32, blockAlign, true); view.setUint16(34, 16, true);
-    let offset = 44; for (let i = 0; i < float32.length; i++, offset += 2) {
-      const s = Math.max(-1, Math.min(1, float32[i])); view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    }
-    return buffer;
+
+  // min/max envelope with the RMS band on top, from stored peaks (no audio decoded)
+  function drawWaveform(canvas, { min, max, rms }) {
+    const g = canvas?.getContext('2d');
+    if (!g) return;
+    const w = canvas.width, h = canvas.height, mid = h / 2;
+    const x = (i) => (i / min.length) * w;
+    const bw = Math.max(1, w / min.length);
+    g.clearRect(0, 0, w, h);
+    g.fillStyle = '#94a3b8';
+    for (let i = 0; i < min.length; i++) g.fillRect(x(i), mid - max[i] * mid, bw, Math.max(1, (max[i] - min[i]) * mid));
+    g.fillStyle = '#059669';
+    for (let i = 0; i < rms.length; i++) g.fillRect(x(i), mid - rms[i] * mid, bw, Math.max(1, rms[i] * h));
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
   }
-  function writeString(view, offset, str) { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); }
 
   // First render
+  refreshDevices().catch(console.error);
   (async () => { try { await refreshRecordings(); } catch (e) { console.error(e); } })();
   setStatus('idle');
 }
@@ -1,17 +1,42 @@
 // player-mse.js
-// If recording is PCM (manifest.format === 'pcm-f32'): assemble to WAV.
+// If recording is PCM (manifest.format 'pcm-*', any storage encoding): assemble to WAV.
 // Else (webm/mp4): use MSE sequence (unchanged), with concat fallback.
+// Markers from the manifest are listed under the player; startAtMs seeks on load.
+// Times are on the recording timeline; manifest.timelineStartMs (< 0 with pre-roll)
+// is where the audio element's 0 sits.
+// Multi-track PCM plays a mixdown with solo/mute per track; mixState(id) is shared with export.
+
+import { buildWavUrl, pcmLayout, pcmTracks, audibleTracks, mixTracks, decodePcmChunks, pcm16Wav } from '../pcm.js';
+import { isPcmFormat } from '../pcm-codec.js';
 
 export const Player = ({ storage }) => {
-  async function playInto(detailEl, recordingId, prefer = 'mse') {
+  const trackStates = new Map(); // recordingId → { mute: [], solo: [] }
+
+  function mixState(recordingId) {
+    if (!trackStates.has(recordingId)) trackStates.set(recordingId, { mute: [], solo: [] });
+    return trackStates.get(recordingId);
+  }
+
+  async function playInto(detailEl, recordingId, prefer = 'mse', { startAtMs = 0 } = {}) {
     const manifest = await storage.getManifest(recordingId);
     const chunks = await storage.getChunksWithTiming(recordingId);
     if (!chunks.length) throw new Error('No chunks to play');
 
-    if (manifest?.format === 'pcm-f32') {
-      // Assemble WAV from Float32 slices
-      const url = await buildWavUrlFromPCM(chunks, manifest?.sampleRate || 48000);
-      return renderAudio(detailEl, url, `WAV (PCM ${manifest?.sampleRate || 48000} Hz)`);
+    const originMs = manifest?.timelineStartMs || 0;
+    await renderInto(detailEl, recordingId, manifest, chunks, prefer);
+    renderMarkers(detailEl, manifest?.markers || [], originMs);
+    if (startAtMs !== 0) seekTo(detailEl, startAtMs - originMs);
+  }
+
+  async function renderInto(detailEl, recordingId, manifest, chunks, prefer) {
+    if (isPcmFormat(manifest?.format) && pcmTracks(manifest).length > 1) {
+      return renderTracks(detailEl, recordingId, manifest, chunks);
+    }
+    if (isPcmFormat(manifest?.format)) {
+      // Assemble WAV from the decoded slices
+      const { channels, sampleRate } = pcmLayout(manifest);
+      const url = await buildWavUrl(chunks, manifest);
+      return renderAudio(detailEl, url, `WAV (PCM ${sampleRate} Hz · ${channels} ch)`);
     }
 
     // Non-PCM (webm/mp4) path
@@ -36,49 +61,67 @@ export const Player = ({ storage }) => {
     await playConcatenatedWebM(detailEl, chunks);
   }
 
-  /* ---------- PCM → WAV ---------- */
-  async function buildWavUrlFromPCM(chunks, sampleRate) {
-    // Concatenate all Float32 arrays
-    let total = 0;
-    const parts = [];
-    for (const c of chunks) {
-      const ab = await c.blob.arrayBuffer();
-      const f32 = new Float32Array(ab);
-      total += f32.length;
-      parts.push(f32);
-    }
-    const mono = new Float32Array(total);
-    let off = 0; for (const p of parts) { mono.set(p, off); off += p.length; }
-
-    const wavAB = pcm16Wav(mono, sampleRate);
-    return URL.createObjectURL(new Blob([wavAB], { type: 'audio/wav' }));
+  /* ---------- Multi-track PCM: mixdown with solo/mute ---------- */
+  // Tracks are read and decoded once (track 0's chunks come from playInto());
+  // toggling solo/mute only remixes and swaps the audio src.
+  async function renderTracks(detailEl, recordingId, manifest, firstChunks) {
+    const tracks = pcmTracks(manifest);
+    const { channels, sampleRate } = pcmLayout(manifest);
+    const decoded = await Promise.all(tracks.map(async (_, t) => {
+      const chunks = t === 0 ? firstChunks : await storage.getChunksWithTiming(recordingId, { track: t });
+      return (await decodePcmChunks(chunks, manifest)).samples;
+    }));
+    const state = mixState(recordingId);
+    const mixUrl = () => {
+      const heard = audibleTracks(tracks.length, state).map(t => decoded[t]);
+      const wav = pcm16Wav(mixTracks(heard), sampleRate, channels);
+      return URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+    };
+
+    renderAudio(detailEl, mixUrl(), `WAV mixdown (PCM ${sampleRate} Hz · ${tracks.length} tracks)`);
+
+    const box = document.createElement('div');
+    box.className = 'flex flex-wrap items-center gap-3 text-xs';
+    const paint = () => {
+      box.querySelectorAll('[data-track]').forEach(btn => {
+        const list = state[btn.dataset.kind];
+        const on = list.includes(Number(btn.dataset.track));
+        btn.classList.toggle('bg-slate-700', on);
+        btn.classList.toggle('text-white', on);
+      });
+    };
+    tracks.forEach((t, i) => {
+      const row = document.createElement('span');
+      row.className = 'flex items-center gap-1';
+      row.innerHTML = `<span class="text-slate-600">${escapeHtml(t.name || `Track ${i + 1}`)}${t.lost ? ' (lost)' : ''}</span>
+        <button class="badge" data-track="${i}" data-kind="mute" title="Mute">M</button>
+        <button class="badge" data-track="${i}" data-kind="solo" title="Solo">S</button>`;
+      box.appendChild(row);
+    });
+    box.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-track]');
+      if (!btn) return;
+      const list = state[btn.dataset.kind], t = Number(btn.dataset.track);
+      const at = list.indexOf(t);
+      if (at >= 0) list.splice(at, 1); else list.push(t);
+      paint();
+      remix(detailEl, mixUrl());
+    });
+    paint();
+    detailEl.appendChild(box);
   }
 
-  function pcm16Wav(float32, sampleRate) {
-    const numChannels = 1;
-    const bytesPerSample = 2;
-    const blockAlign = numChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = float32.length * bytesPerSample;
-
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    writeString(view, 0, 'RIFF'); view.setUint32(4, 36 + dataSize, true); writeString(view, 8, 'WAVE');
-    writeString(view, 12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
-    view.setUint16(22, numChannels, true); view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true); view.setUint16(32, blockAlign, true); view.setUint16(34, 16, true);
-    writeString(view, 36, 'data'); view.setUint32(40, dataSize, true);
-
-    let offset = 44;
-    for (let i = 0; i < float32.length; i++, offset += 2) {
-      const s = Math.max(-1, Math.min(1, float32[i]));
-      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-    }
-    return buffer;
-  }
-  function writeString(view, offset, str) {
-    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  // Swap in a new mix without losing the playback position
+  function remix(detailEl, url) {
+    const audio = detailEl.querySelector('audio');
+    if (!audio) return URL.revokeObjectURL(url);
+    const pos = audio.currentTime, playing = !audio.paused, old = audio.src;
+    audio.src = url;
+    audio.addEventListener('loadedmetadata', () => {
+      audio.currentTime = pos;
+      if (playing) audio.play().catch(()=>{});
+    }, { once: true });
+    URL.revokeObjectURL(old);
   }
 
   /* ---------- WebM/MP4 via MSE (sequence) ---------- */
@@ -138,6 +181,40 @@ export const Player = ({ storage }) => {
     audio.play().catch(()=>{});
   }
 
-  return { playInto };
+  /* ---------- Markers ---------- */
+  function renderMarkers(detailEl, markers, originMs = 0) {
+    if (!markers.length) return;
+    const box = document.createElement('div');
+    box.className = 'flex flex-wrap items-center gap-2 text-xs';
+    box.innerHTML = '<span class="text-slate-500">Markers:</span>';
+    for (const m of markers) {
+      const btn = document.createElement('button');
+      btn.className = 'badge hover:bg-slate-200';
+      btn.textContent = `${fmtSeconds(m.atMs)} · ${m.label}`;
+      btn.title = 'Jump to marker';
+      btn.addEventListener('click', () => seekTo(detailEl, m.atMs - originMs, true));
+      box.appendChild(btn);
+    }
+    detailEl.appendChild(box);
+  }
+
+  function seekTo(detailEl, ms, play = false) {
+    const audio = detailEl.querySelector('audio');
+    if (!audio) return;
+    const go = () => {
+      audio.currentTime = Math.max(0, ms / 1000);
+      if (play) audio.play().catch(()=>{});
+    };
+    if (audio.readyState >= 1) go();
+    else audio.addEventListener('loadedmetadata', go, { once: true });
+  }
+
+  function fmtSeconds(ms) { return `${((ms || 0) / 1000).toFixed(2)}s`; }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+  }
+
+  return { playInto, mixState };
 };
 
@@ -0,0 +1,69 @@
+// web/record-ver2.0/js/vad.js
+// Energy-based voice-activity detection with hysteresis and hangover.
+// Feed it block RMS values; it reports speech/silence transitions and how long
+// the current silence has lasted, which the recorder uses to auto-pause/resume.
+//
+//   speech  → silence: level below (thresholdDb - hysteresisDb) for hangoverMs
+//   silence → speech:  level above thresholdDb for attackMs
+
+export const VAD_DEFAULTS = {
+  thresholdDb: -45,  // speech onset level (dBFS RMS)
+  hysteresisDb: 6,   // release level sits this far below the threshold
+  attackMs: 60,      // sustained level needed to call it speech
+  hangoverMs: 400,   // speech state is held this long after the level drops
+  silenceMs: 2000,   // auto-pause once silence has lasted this long
+  lookbackMs: 300,   // audio kept from before a detected onset when auto-resuming
+  autoPause: true
+};
+
+export function createVad(options = {}) {
+  const config = { ...VAD_DEFAULTS, ...options };
+  let state = 'speech'; // a session starts recording; silence has to be earned
+  let aboveSince = null;
+  let belowSince = null;
+  let silenceSince = null;
+
+  function update(rms, nowMs) {
+    const db = toDb(rms);
+    let changed = false;
+
+    if (state === 'speech') {
+      if (db < config.thresholdDb - config.hysteresisDb) {
+        if (belowSince === null) belowSince = nowMs;
+        if (nowMs - belowSince >= config.hangoverMs) {
+          state = 'silence';
+          silenceSince = belowSince;
+          changed = true;
+        }
+      } else {
+        belowSince = null;
+      }
+    } else {
+      if (db >= config.thresholdDb) {
+        if (aboveSince === null) aboveSince = nowMs;
+        if (nowMs - aboveSince >= config.attackMs) {
+          state = 'speech';
+          belowSince = null;
+          silenceSince = null;
+          changed = true;
+        }
+      } else {
+        aboveSince = null;
+      }
+    }
+    if (changed) aboveSince = null;
+
+    return {
+      state,
+      changed,
+      db,
+      silentForMs: state === 'silence' ? nowMs - silenceSince : 0
+    };
+  }
+
+  return { config, update, get state() { return state; } };
+}
+
+export function toDb(rms) {
+  return 20 * Math.log10(Math.max(1e-9, rms));
+}
@@ -0,0 +1,39 @@
+// web/record-ver2.0/js/worker-rpc.js
+// Request/response over postMessage, shared by the workers behind pcm-codec.js and
+// the OPFS adapter. The worker answers { id, op, args } with { id, result } or
+// { id, error: { name, message } }; errors come back with their name kept, so a full
+// disk still reads as QuotaExceededError to the recorder.
+
+// transfer(op, args) → ArrayBuffers to move rather than copy.
+// onFailure(event, calls): the worker died (onerror); calls are the ones still waiting,
+// { op, args, resolve, reject }. Without it they reject with `${label} failed: …`.
+// Returns call(op, ...args) → Promise of the result.
+export function connectWorker(worker, { label = 'Worker', transfer = () => [], onFailure = null } = {}) {
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    if (!error) { p.resolve(result); return; }
+    const e = new Error(error.message);
+    e.name = error.name;
+    p.reject(e);
+  };
+  worker.onerror = (e) => {
+    const calls = Array.from(pending.values());
+    pending.clear();
+    if (onFailure) { onFailure(e, calls); return; }
+    const err = new Error(`${label} failed: ${e.message || 'unknown error'}`);
+    for (const p of calls) p.reject(err);
+  };
+
+  return function call(op, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, { op, args, resolve, reject });
+      worker.postMessage({ id, op, args }, transfer(op, args));
+    });
+  };
+}
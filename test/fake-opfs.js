@@ -0,0 +1,83 @@
+// web/record-ver2.0/test/fake-opfs.js
+// In-memory stand-in for the slice of the OPFS API that opfs-store.js uses:
+// directory/file handles, getFile() snapshots and sync access handles (one open
+// handle per file, like the real lock, which getFile() waits on too). Node has no OPFS.
+
+const notFound = (name) => new DOMException(`${name} not found`, 'NotFoundError');
+
+export function createFakeDirectory() {
+  const children = new Map(); // name -> directory | file
+
+  return {
+    kind: 'directory',
+    async getDirectoryHandle(name, { create = false } = {}) {
+      const c = children.get(name);
+      if (c) { if (c.kind !== 'directory') throw new DOMException(name, 'TypeMismatchError'); return c; }
+      if (!create) throw notFound(name);
+      const dir = createFakeDirectory();
+      children.set(name, dir);
+      return dir;
+    },
+    async getFileHandle(name, { create = false } = {}) {
+      const c = children.get(name);
+      if (c) { if (c.kind !== 'file') throw new DOMException(name, 'TypeMismatchError'); return c; }
+      if (!create) throw notFound(name);
+      const file = createFakeFile();
+      children.set(name, file);
+      return file;
+    },
+    async removeEntry(name, { recursive = false } = {}) {
+      const c = children.get(name);
+      if (!c) throw notFound(name);
+      if (c.kind === 'directory' && c.size() && !recursive) throw new DOMException(name, 'InvalidModificationError');
+      if (c.locked()) throw new DOMException(name, 'NoModificationAllowedError');
+      children.delete(name);
+    },
+    async *entries() { for (const entry of Array.from(children.entries())) yield entry; },
+    size: () => children.size,
+    locked: () => Array.from(children.values()).some(c => c.locked())
+  };
+}
+
+function createFakeFile() {
+  let bytes = new Uint8Array(0);
+  let open = false;
+
+  return {
+    kind: 'file',
+    locked: () => open,
+    async getFile() {
+      if (open) throw new DOMException('file is locked', 'NoModificationAllowedError');
+      return new Blob([bytes.slice()]);
+    },
+    async createSyncAccessHandle() {
+      if (open) throw new DOMException('file is locked', 'NoModificationAllowedError');
+      open = true;
+      let closed = false;
+      const live = () => { if (closed) throw new DOMException('handle is closed', 'InvalidStateError'); };
+      return {
+        getSize() { live(); return bytes.byteLength; },
+        read(into, { at = 0 } = {}) {
+          live();
+          const part = bytes.subarray(at, at + into.byteLength);
+          new Uint8Array(into.buffer, into.byteOffset, into.byteLength).set(part);
+          return part.byteLength;
+        },
+        write(from, { at = 0 } = {}) {
+          live();
+          const src = new Uint8Array(from.buffer, from.byteOffset, from.byteLength);
+          if (at + src.byteLength > bytes.byteLength) {
+            const grown = new Uint8Array(at + src.byteLength);
+            grown.set(bytes);
+            bytes = grown;
+          }
+          bytes.set(src, at);
+          return src.byteLength;
+        },
+        truncate(size) { live(); bytes = bytes.slice(0, size); },
+        flush() { live(); },
+        close() { if (!closed) { closed = true; open = false; } }
+      };
+    }
+  };
+}
@@ -0,0 +1,107 @@
+// web/record-ver2.0/test/idb-migrations.test.js
+// Migration runner on its own, then the real steps against fake-indexeddb.
+import 'fake-indexeddb/auto';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION, migrate } from '../js/adapters/idb-migrations.js';
+
+describe('migrate', () => {
+  const steps = (log) => [3, 1, 2].map(version => ({ version, name: `v${version}`, up: async () => { log.push(version); } }));
+
+  it('runs the steps after oldVersion up to newVersion, in version order', async () => {
+    const log = [];
+    const applied = await migrate({ db: {}, tx: {}, oldVersion: 1, newVersion: 3, migrations: steps(log) });
+    assert.deepEqual(log, [2, 3]);
+    assert.deepEqual(applied, ['2 v2', '3 v3']);
+  });
+
+  it('stops at the first failing step and names it', async () => {
+    const log = [];
+    const migrations = [...steps(log), { version: 2.5, name: 'broken', up: () => { throw new Error('boom'); } }];
+    await assert.rejects(migrate({ db: {}, tx: {}, oldVersion: 0, newVersion: 3, migrations }), /2\.5 \(broken\) failed: boom/);
+    assert.deepEqual(log, [1, 2]);
+  });
+
+  it('the shipped list is ordered and ends at SCHEMA_VERSION', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    assert.deepEqual(versions, [...versions].sort((a,b) => a - b));
+    assert.equal(new Set(versions).size, versions.length);
+    assert.equal(versions[versions.length - 1], SCHEMA_VERSION);
+  });
+});
+
+describe('IndexedDB upgrades', () => {
+  let n = 0;
+  const name = () => `migrations-${++n}`;
+  const load = () => import('../js/adapters/storage-indexeddb.js');
+
+  // a raw connection at `version`, built by the shipped steps up to it
+  function openAt(dbName, version, { onversionchange } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, version);
+      req.onupgradeneeded = (e) => { migrate({ db: req.result, tx: req.transaction, oldVersion: e.oldVersion, newVersion: version }); };
+      req.onsuccess = () => { if (onversionchange) req.result.onversionchange = onversionchange; resolve(req.result); };
+      req.onerror = () => reject(req.error);
+    });
+  }
+  const currentVersion = (dbName) => new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName);
+    req.onsuccess = () => { const v = req.result.version; req.result.close(); resolve(v); };
+    req.onerror = () => reject(req.error);
+  });
+
+  it('brings a v7 database with untimed chunks up to date', async () => {
+    const { createIndexedDbStorage } = await load();
+    const dbName = name();
+    const old = await openAt(dbName, 7);
+    const tx = old.transaction(['recordings','manifests','chunks','peaks'], 'readwrite');
+    tx.objectStore('recordings').put({ id: 'pcm', createdAt: 1, status: 'ready' });
+    tx.objectStore('manifests').put({ recordingId: 'pcm', format: 'pcm-f32', sampleRate: 1000, channels: 2 });
+    tx.objectStore('manifests').put({ recordingId: 'mr', chunkSeconds: 2 });
+    for (const index of [0, 1]) {
+      tx.objectStore('chunks').put({ recordingId: 'pcm', index, blob: new Blob(['x']), size: 800 }); // 100 frames = 100 ms
+      tx.objectStore('chunks').put({ recordingId: 'mr', index, blob: new Blob(['y']), size: 5 });
+    }
+    tx.objectStore('chunks').put({ recordingId: 'timed', index: 0, blob: new Blob(['z']), size: 1, startMs: 40, endMs: 90 });
+    tx.objectStore('peaks').put({ recordingId: 'pcm', index: 0, startMs: 0, endMs: 100, binMs: 50, min: [0, 0], max: [1, 1], rms: [0, 0] });
+    await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+    old.close();
+
+    const storage = await createIndexedDbStorage({ dbName });
+    assert.equal(await currentVersion(dbName), SCHEMA_VERSION);
+    assert.deepEqual((await storage.getChunksWithTiming('pcm')).map(r => [r.track, r.startMs, r.endMs]), [[0, 0, 100], [0, 100, 200]]);
+    assert.deepEqual((await storage.getChunksWithTiming('mr')).map(r => [r.startMs, r.endMs]), [[0, 2000], [2000, 4000]]);
+    assert.deepEqual((await storage.getChunksWithTiming('timed')).map(r => [r.startMs, r.endMs]), [[40, 90]]);
+    assert.ok(await storage.getOverview('pcm'));
+  });
+
+  it('a failing step aborts the upgrade and leaves the old version', async () => {
+    const { createIndexedDbStorage } = await load();
+    const dbName = name();
+    (await openAt(dbName, 8)).close();
+    const broken = [...MIGRATIONS, { version: SCHEMA_VERSION + 1, name: 'broken', up: () => { throw new Error('boom'); } }];
+    await assert.rejects(createIndexedDbStorage({ dbName, version: SCHEMA_VERSION + 1, migrations: broken }));
+    assert.equal(await currentVersion(dbName), 8);
+  });
+
+  it('an open tab closes on versionchange so the upgrade goes through', async () => {
+    const { createIndexedDbStorage } = await load();
+    const dbName = name();
+    let closed = 0;
+    await createIndexedDbStorage({ dbName, version: 8, onVersionChange: () => { closed++; } });
+    await createIndexedDbStorage({ dbName });
+    assert.equal(closed, 1);
+    assert.equal(await currentVersion(dbName), SCHEMA_VERSION);
+  });
+
+  it('reports blocked while an old connection stays open, then finishes', async () => {
+    const { createIndexedDbStorage } = await load();
+    const dbName = name();
+    const stubborn = await openAt(dbName, 8, { onversionchange: () => {} });
+    let blocked = 0;
+    const opening = createIndexedDbStorage({ dbName, onBlocked: () => { blocked++; stubborn.close(); } });
+    await opening;
+    assert.equal(blocked, 1);
+    assert.equal(await currentVersion(dbName), SCHEMA_VERSION);
+  });
+});
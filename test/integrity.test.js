@@ -0,0 +1,104 @@
+// web/record-ver2.0/test/integrity.test.js
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sha256Hex, createHashChain, verifyRecording, repairRecording } from '../js/integrity.js';
+import { encodePcm, decodePcm } from '../js/pcm-codec.js';
+import { createMemoryStorage } from '../js/adapters/storage-memory.js';
+
+const RATE = 1000; // 100 frames per 100 ms chunk
+const manifestOf = (extra = {}) => ({ format: 'pcm-s16', channels: 1, sampleRate: RATE, chunkSeconds: 0.1, ...extra });
+
+// a 5-chunk mono s16 recording written the way the recorder does: hashed and chained
+async function record(storage, id = 'r', { skip = [] } = {}) {
+  const chain = createHashChain();
+  await storage.putRecording({ id, createdAt: 1, status: 'ready', mimeType: 'audio/pcm;format=s16' });
+  for (let index = 0; index < 5; index++) {
+    if (skip.includes(index)) continue;
+    const bytes = await encodePcm(new Float32Array(100).fill(0.5), 's16');
+    const sha256 = await sha256Hex(bytes);
+    await storage.putChunk({ recordingId: id, index, blob: new Blob([bytes]), size: bytes.byteLength, startMs: index * 100, endMs: (index + 1) * 100, sha256 });
+    await chain.add(0, index, sha256);
+  }
+  await storage.setManifest(id, manifestOf({ integrity: chain.integrity() }));
+}
+
+async function corrupt(storage, index) {
+  const [row] = (await storage.getChunksWithTiming('r')).filter(r => r.index === index);
+  const bytes = new Uint8Array(await row.blob.arrayBuffer());
+  bytes[0] ^= 0xFF;
+  await storage.putChunk({ ...row, recordingId: 'r', blob: new Blob([bytes]) });
+}
+
+describe('verifyRecording', () => {
+  let storage;
+  beforeEach(() => { storage = createMemoryStorage(); });
+
+  it('passes an intact recording', async () => {
+    await record(storage);
+    const report = await verifyRecording(storage, 'r');
+    assert.equal(report.ok, true);
+    assert.equal(report.tracks[0].chain, 'ok');
+    assert.equal(report.tracks[0].chunks, 5);
+  });
+
+  it('finds damaged bytes and breaks the chain', async () => {
+    await record(storage);
+    await corrupt(storage, 1);
+    const t = (await verifyRecording(storage, 'r')).tracks[0];
+    assert.deepEqual(t.hashFailures, [1]);
+    assert.equal(t.chain, 'broken');
+  });
+
+  it('finds missing indexes, timing gaps and overlaps, and size mismatches', async () => {
+    await record(storage, 'r', { skip: [2] });
+    const rows = await storage.getChunksWithTiming('r');
+    await storage.putChunk({ ...rows[3], recordingId: 'r', startMs: 450, endMs: 500, size: 1 }); // index 4
+    await storage.putChunk({ ...rows[1], recordingId: 'r', startMs: 50 });                        // index 1
+    const t = (await verifyRecording(storage, 'r')).tracks[0];
+    assert.deepEqual(t.missing, [2]);
+    assert.deepEqual(t.overlaps, [{ index: 1, fromMs: 50, toMs: 100 }]);
+    assert.deepEqual(t.gaps, [{ index: 4, fromMs: 400, toMs: 450 }]);
+    assert.deepEqual(t.sizeMismatches.map(s => [s.index, s.size, s.actual, s.expected]), [[1, 200, 200, 300], [4, 1, 200, 100]]);
+  });
+
+  it('counts chunks the saved chain does not cover yet (crashed session)', async () => {
+    await record(storage);
+    const bytes = await encodePcm(new Float32Array(100), 's16');
+    await storage.putChunk({ recordingId: 'r', index: 5, blob: new Blob([bytes]), size: 200, startMs: 500, endMs: 600, sha256: await sha256Hex(bytes) });
+    const report = await verifyRecording(storage, 'r');
+    assert.equal(report.ok, true);
+    assert.equal(report.tracks[0].unchained, 1);
+  });
+});
+
+describe('repairRecording', () => {
+  let storage;
+  beforeEach(() => { storage = createMemoryStorage(); });
+
+  it('fills a missing chunk and a damaged one with silence', async () => {
+    await record(storage, 'r', { skip: [2] });
+    await corrupt(storage, 3);
+    const after = await repairRecording(storage, 'r', { action: 'fill-silence' });
+    assert.equal(after.ok, true);
+    const rows = await storage.getChunksWithTiming('r');
+    assert.deepEqual(rows.map(r => [r.index, r.startMs, r.endMs]), [0, 1, 2, 3, 4].map(i => [i, i * 100, (i + 1) * 100]));
+    for (const i of [2, 3]) assert.ok((await decodePcm(await rows[i].blob.arrayBuffer(), 's16')).every(v => v === 0));
+    assert.equal((await storage.getManifest('r')).repairs[0].filled, 2);
+  });
+
+  it('truncates at the first problem and fixes the duration', async () => {
+    await record(storage);
+    await corrupt(storage, 2);
+    const after = await repairRecording(storage, 'r', { action: 'truncate' });
+    assert.equal(after.ok, true);
+    assert.deepEqual((await storage.getChunksWithTiming('r')).map(r => r.index), [0, 1]);
+    assert.equal((await storage.getRecording('r')).durationMs, 200);
+    assert.equal((await storage.getManifest('r')).durationFrames, 200);
+  });
+
+  it('only fills PCM recordings', async () => {
+    await storage.setManifest('w', { codec: 'audio/webm' });
+    await storage.putChunk({ recordingId: 'w', index: 1, blob: new Blob(['x']), size: 1, startMs: 0, endMs: 100 });
+    await assert.rejects(repairRecording(storage, 'w', { action: 'fill-silence' }), { name: 'NotSupportedError' });
+  });
+});
@@ -0,0 +1,93 @@
+// web/record-ver2.0/test/pcm-codec.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePcm, decodePcm, encodingOf, isPcmFormat, floatToInt16, normalizeEncoding } from '../js/pcm-codec.js';
+import { resolveObjectURL } from 'node:buffer';
+import { decodePcmChunks, pcm16Wav, buildStitchedWavUrl, mixTracks } from '../js/pcm.js';
+
+// two seconds of a quiet stereo tone with a little noise, interleaved
+function tone(frames = 96000, channels = 2) {
+  const out = new Float32Array(frames * channels);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) out[i * channels + c] = 0.3 * Math.sin(i / (20 + c)) + (Math.random() - 0.5) * 0.002;
+  }
+  return out;
+}
+const toInts = (f32) => Int16Array.from(f32, floatToInt16);
+
+describe('pcm encodings', () => {
+  it('keeps f32 exact', async () => {
+    const samples = tone(1000);
+    assert.deepEqual(await decodePcm(await encodePcm(samples, 'f32'), 'f32'), samples);
+  });
+
+  it('s16 halves the size and exports the same WAV as f32', async () => {
+    const samples = tone();
+    const bytes = await encodePcm(samples, 's16');
+    assert.equal(bytes.byteLength, samples.byteLength / 2);
+    const decoded = await decodePcm(bytes, 's16');
+    assert.deepEqual(new Uint8Array(pcm16Wav(decoded, 48000, 2)), new Uint8Array(pcm16Wav(samples, 48000, 2)));
+  });
+
+  it('s16-deflate is lossless over s16 and smaller still', async () => {
+    const samples = tone();
+    const bytes = await encodePcm(samples, 's16-deflate', { stride: 2 });
+    assert.ok(bytes.byteLength < samples.byteLength / 2, `${bytes.byteLength} bytes`);
+    assert.deepEqual(toInts(await decodePcm(bytes, 's16-deflate')), toInts(samples));
+  });
+
+  it('reads the encoding from the manifest format; older recordings are f32', () => {
+    assert.equal(encodingOf('pcm-s16-deflate'), 's16-deflate');
+    assert.equal(encodingOf('pcm-f32'), 'f32');
+    assert.equal(encodingOf(undefined), 'f32');
+    assert.equal(isPcmFormat('pcm-s16'), true);
+    assert.equal(isPcmFormat('webm'), false);
+  });
+
+  it('refuses s16-deflate up front where deflate-raw is missing', () => {
+    const real = globalThis.CompressionStream;
+    globalThis.CompressionStream = class { constructor(format) { if (format === 'deflate-raw') throw new TypeError(format); } };
+    try {
+      assert.throws(() => normalizeEncoding('s16-deflate'), { name: 'NotSupportedError', code: 'not-supported' });
+      assert.equal(normalizeEncoding('s16'), 's16');
+    } finally { globalThis.CompressionStream = real; }
+  });
+
+  it('decodePcmChunks decodes planar s16 chunks back to interleaved', async () => {
+    const planar = Float32Array.from([0.5, 0.25, -0.5, -0.25]); // L0 L1 R0 R1
+    const blob = new Blob([await encodePcm(planar, 's16')]);
+    const { samples } = await decodePcmChunks([{ blob }], { format: 'pcm-s16', channels: 2, layout: 'planar' });
+    assert.deepEqual(toInts(samples), toInts(Float32Array.from([0.5, -0.5, 0.25, -0.25])));
+  });
+
+  it('mixes tracks with 1/N headroom, so two full-scale tracks do not clip', () => {
+    assert.deepEqual(mixTracks([Float32Array.from([1, -1, 0.5]), Float32Array.from([1, -1])]), Float32Array.from([1, -1, 0.25]));
+    assert.deepEqual(mixTracks([Float32Array.from([0.5])]), Float32Array.from([0.5]));
+  });
+
+  it('stitches rollover parts into the same WAV as one long recording', async () => {
+    const samples = tone(3000);
+    const manifest = { format: 'pcm-s16', channels: 2, sampleRate: 48000 };
+    const part = async (from, to) => ({ manifest, chunksByTrack: [[{ blob: new Blob([await encodePcm(samples.subarray(from, to), 's16')]) }]] });
+    const url = await buildStitchedWavUrl([await part(0, 2000), await part(2000, 6000)]);
+    const wav = new Uint8Array(await resolveObjectURL(url).arrayBuffer());
+    URL.revokeObjectURL(url);
+    assert.deepEqual(wav, new Uint8Array(pcm16Wav(samples, 48000, 2)));
+  });
+
+  it('falls back to the in-process codec when the worker fails', async () => {
+    const posted = [];
+    globalThis.Worker = class {
+      postMessage(msg) { posted.push(msg); setTimeout(() => this.onerror({ message: 'boom' })); }
+      terminate() {}
+    };
+    try {
+      const codec = await import('../js/pcm-codec.js?worker-fails'); // fresh module state
+      const samples = tone(1000);
+      const bytes = await codec.encodePcm(samples, 's16-deflate', { stride: 2 });
+      assert.equal(posted.length, 1);
+      assert.deepEqual(toInts(await codec.decodePcm(bytes, 's16-deflate')), toInts(samples));
+      assert.equal(posted.length, 1); // the failed worker is not used again
+    } finally { delete globalThis.Worker; }
+  });
+});
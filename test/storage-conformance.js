@@ -0,0 +1,332 @@
+// web/record-ver2.0/test/storage-conformance.js
+// Shared checks for the storage contract (js/adapters/storage-contract.js).
+// Each adapter's *.test.js calls storageConformance(name, create) with a factory
+// that returns a fresh, empty store.
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { STORAGE_METHODS, missingMethods } from '../js/adapters/storage-contract.js';
+
+const rec = (id, createdAt, extra = {}) => ({ id, createdAt, status: 'recording', mimeType: 'audio/pcm;format=f32', ...extra });
+const chunk = (recordingId, index, extra = {}) => ({
+  recordingId, index, blob: new Blob([`${recordingId}:${index}`]), size: 8,
+  startMs: index * 100, endMs: (index + 1) * 100, ...extra
+});
+const peaksFor = (level) => ({ binMs: 50, min: Float32Array.of(-level, -level), max: Float32Array.of(level, level), rms: Float32Array.of(level / 2, level / 2) });
+const text = (blob) => blob.text();
+
+export function storageConformance(name, create) {
+  describe(`storage contract: ${name}`, () => {
+    let storage;
+    beforeEach(async () => { storage = await create(); });
+
+    it('implements every contract call', () => {
+      assert.deepEqual(missingMethods(storage), []);
+      assert.ok(STORAGE_METHODS.length > 0);
+    });
+
+    /* -------- recordings -------- */
+    describe('recordings', () => {
+      it('round-trips a row with its extra fields', async () => {
+        await storage.putRecording(rec('a', 1, { sessionId: 's', part: 2, previousId: 'p' }));
+        assert.deepEqual(await storage.getRecording('a'), rec('a', 1, { sessionId: 's', part: 2, previousId: 'p' }));
+      });
+
+      it('returns null for an unknown id', async () => {
+        assert.equal(await storage.getRecording('nope'), null);
+      });
+
+      it('replaces a row with the same id', async () => {
+        await storage.putRecording(rec('a', 1));
+        await storage.putRecording(rec('a', 1, { status: 'ready' }));
+        assert.equal((await storage.getRecording('a')).status, 'ready');
+        assert.equal((await storage.listRecordings()).length, 1);
+      });
+
+      it('lists newest first', async () => {
+        await storage.putRecording(rec('old', 1));
+        await storage.putRecording(rec('new', 3));
+        await storage.putRecording(rec('mid', 2));
+        assert.deepEqual((await storage.listRecordings()).map(r => r.id), ['new', 'mid', 'old']);
+      });
+
+      it('hands out copies', async () => {
+        await storage.putRecording(rec('a', 1));
+        (await storage.getRecording('a')).status = 'changed';
+        (await storage.listRecordings())[0].status = 'changed';
+        assert.equal((await storage.getRecording('a')).status, 'recording');
+      });
+
+      it('setDuration, markStatus and touchRecording update the row and updatedAt', async () => {
+        await storage.putRecording(rec('a', 1, { updatedAt: 0 }));
+        await storage.setDuration('a', 1234);
+        let r = await storage.getRecording('a');
+        assert.equal(r.durationMs, 1234);
+        assert.ok(r.updatedAt > 0);
+
+        await storage.putRecording({ ...r, updatedAt: 0 });
+        await storage.markStatus('a', 'ready');
+        r = await storage.getRecording('a');
+        assert.equal(r.status, 'ready');
+        assert.ok(r.updatedAt > 0);
+
+        await storage.putRecording({ ...r, updatedAt: 0 });
+        await storage.touchRecording('a');
+        r = await storage.getRecording('a');
+        assert.ok(r.updatedAt > 0);
+        assert.equal(r.status, 'ready');
+        assert.equal(r.durationMs, 1234);
+      });
+
+      it('updates on an unknown id are no-ops', async () => {
+        await storage.setDuration('nope', 1);
+        await storage.markStatus('nope', 'ready');
+        await storage.touchRecording('nope');
+        assert.equal(await storage.getRecording('nope'), null);
+        assert.deepEqual(await storage.listRecordings(), []);
+      });
+    });
+
+    /* -------- metadata and queries -------- */
+    describe('queries', () => {
+      async function fill() {
+        await storage.putRecording(rec('mon', 100, { status: 'ready', durationMs: 30 }));
+        await storage.putRecording(rec('tue', 200, { status: 'ready', durationMs: 90 }));
+        await storage.putRecording(rec('wed', 300, { status: 'recovered', durationMs: 60 }));
+        await storage.setMetadata('tue', { title: ' Call with Ana ', tags: 'Work, calls,work', notes: 'budget review' });
+        await storage.setMetadata('wed', { title: 'Band practice', tags: ['music'], starred: true });
+      }
+      const ids = async (query) => (await storage.queryRecordings(query)).map(r => r.id);
+
+      it('setMetadata normalizes, leaves other fields alone and ignores unknown ids', async () => {
+        await fill();
+        const r = await storage.getRecording('tue');
+        assert.equal(r.title, 'Call with Ana');
+        assert.deepEqual(r.tags, ['work', 'calls']);
+        assert.equal(r.durationMs, 90);
+        await storage.setMetadata('tue', { starred: true });
+        assert.equal((await storage.getRecording('tue')).title, 'Call with Ana');
+        await storage.setMetadata('nope', { title: 'x' });
+        assert.equal(await storage.getRecording('nope'), null);
+      });
+
+      it('lists everything newest first without a query', async () => {
+        await fill();
+        assert.deepEqual(await ids(), ['wed', 'tue', 'mon']);
+        assert.deepEqual(await ids({}), await ids());
+      });
+
+      it('filters by text, tags, status, starred and date', async () => {
+        await fill();
+        assert.deepEqual(await ids({ text: 'ana BUDGET' }), ['tue']);
+        assert.deepEqual(await ids({ text: 'mon' }), ['mon']);
+        assert.deepEqual(await ids({ tags: ['Work'] }), ['tue']);
+        assert.deepEqual(await ids({ tags: 'work, music' }), []);
+        assert.deepEqual(await ids({ status: 'ready' }), ['tue', 'mon']);
+        assert.deepEqual(await ids({ status: ['ready', 'recovered'], starred: true }), ['wed']);
+        assert.deepEqual(await ids({ from: 150, to: 300 }), ['tue']);
+        assert.deepEqual(await ids({ from: 300, to: 300 }), []);
+      });
+
+      it('sorts and pages', async () => {
+        await fill();
+        assert.deepEqual(await ids({ sort: 'oldest' }), ['mon', 'tue', 'wed']);
+        assert.deepEqual(await ids({ sort: 'longest' }), ['tue', 'wed', 'mon']);
+        assert.deepEqual(await ids({ sort: 'title' }), ['wed', 'tue', 'mon']);
+        assert.deepEqual(await ids({ limit: 2 }), ['wed', 'tue']);
+        assert.deepEqual(await ids({ limit: 2, offset: 2 }), ['mon']);
+        assert.deepEqual(await ids({ status: 'ready', sort: 'oldest', limit: 1, offset: 1 }), ['tue']);
+      });
+    });
+
+    /* -------- manifests -------- */
+    describe('manifests', () => {
+      it('round-trips with recordingId added', async () => {
+        const m = { sampleRate: 48000, channels: 2, session: { id: 's', part: 1 }, segments: [{ startFrame: 0, frames: 10 }] };
+        await storage.setManifest('a', m);
+        assert.deepEqual(await storage.getManifest('a'), { recordingId: 'a', ...m });
+      });
+
+      it('replaces and returns null for an unknown id', async () => {
+        await storage.setManifest('a', { v: 1 });
+        await storage.setManifest('a', { v: 2 });
+        assert.equal((await storage.getManifest('a')).v, 2);
+        assert.equal(await storage.getManifest('nope'), null);
+      });
+
+      it('hands out copies', async () => {
+        const m = { segments: [{ frames: 1 }] };
+        await storage.setManifest('a', m);
+        m.segments[0].frames = 99;
+        (await storage.getManifest('a')).segments[0].frames = 42;
+        assert.equal((await storage.getManifest('a')).segments[0].frames, 1);
+      });
+    });
+
+    /* -------- chunks -------- */
+    describe('chunks', () => {
+      it('keeps timing and orders by index whatever the write order', async () => {
+        for (const i of [2, 0, 1]) await storage.putChunk(chunk('a', i));
+        const rows = await storage.getChunksWithTiming('a');
+        assert.deepEqual(rows.map(r => [r.index, r.track, r.size, r.startMs, r.endMs]),
+          [[0, 0, 8, 0, 100], [1, 0, 8, 100, 200], [2, 0, 8, 200, 300]]);
+        assert.deepEqual(await Promise.all(rows.map(r => text(r.blob))), ['a:0', 'a:1', 'a:2']);
+      });
+
+      it('keeps tracks and recordings apart', async () => {
+        await storage.putChunk(chunk('a', 0));
+        await storage.putChunk(chunk('a', 0, { track: 1, blob: new Blob(['a:t1']) }));
+        await storage.putChunk(chunk('a', 1, { track: 1 }));
+        await storage.putChunk(chunk('b', 0));
+        assert.equal(await storage.countChunks('a'), 1);
+        assert.equal(await storage.countChunks('a', { track: 1 }), 2);
+        assert.equal(await storage.countChunks('b'), 1);
+        const t1 = await storage.getChunksWithTiming('a', { track: 1 });
+        assert.deepEqual(t1.map(r => r.track), [1, 1]);
+        assert.equal(await text(t1[0].blob), 'a:t1');
+      });
+
+      it('replaces a chunk with the same key', async () => {
+        await storage.putChunk(chunk('a', 0));
+        await storage.putChunk(chunk('a', 0, { blob: new Blob(['again']), size: 5 }));
+        const rows = await storage.getChunksWithTiming('a');
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].size, 5);
+        assert.equal(await text(rows[0].blob), 'again');
+      });
+
+      it('keeps the sha256 given with a chunk', async () => {
+        await storage.putChunk(chunk('a', 0, { sha256: 'ab12' }));
+        await storage.putChunk(chunk('a', 1));
+        const rows = await storage.getChunksWithTiming('a');
+        assert.deepEqual(rows.map(r => r.sha256), ['ab12', undefined]);
+        for await (const r of storage.iterateChunks('a')) if (r.index === 0) assert.equal(r.sha256, 'ab12');
+      });
+
+      it('getChunksArray and getChunks return the blobs in order', async () => {
+        for (const i of [1, 0]) await storage.putChunk(chunk('a', i, { track: 1 }));
+        const arr = await storage.getChunksArray('a', { track: 1 });
+        assert.deepEqual(await Promise.all(arr.map(text)), ['a:0', 'a:1']);
+        const streamed = [];
+        for await (const blob of storage.getChunks('a', { track: 1 })) streamed.push(await text(blob));
+        assert.deepEqual(streamed, ['a:0', 'a:1']);
+      });
+
+      it('an unknown recording has no chunks', async () => {
+        assert.deepEqual(await storage.getChunksWithTiming('nope'), []);
+        assert.deepEqual(await storage.getChunksArray('nope'), []);
+        assert.equal(await storage.countChunks('nope'), 0);
+        for await (const _ of storage.getChunks('nope')) assert.fail('yielded a chunk');
+        for await (const _ of storage.iterateChunks('nope')) assert.fail('yielded a chunk');
+        assert.deepEqual(await storage.getChunksInRange('nope', 0, 1000), []);
+      });
+
+      it('iterateChunks streams one track in index order across batches', async () => {
+        for (const i of [4, 0, 3, 1, 2]) await storage.putChunk(chunk('a', i));
+        await storage.putChunk(chunk('a', 0, { track: 1 }));
+        await storage.putChunk(chunk('b', 0));
+        const seen = [];
+        for await (const r of storage.iterateChunks('a', { batch: 2 })) seen.push([r.index, r.track, r.startMs, r.endMs, await text(r.blob)]);
+        assert.deepEqual(seen, [0, 1, 2, 3, 4].map(i => [i, 0, i * 100, (i + 1) * 100, `a:${i}`]));
+      });
+
+      it('getChunksInRange returns the chunks overlapping the range, in time order', async () => {
+        // 0–100, 100–200, 200–300, 300–400
+        for (const i of [3, 1, 0, 2]) await storage.putChunk(chunk('a', i));
+        await storage.putChunk(chunk('a', 0, { track: 1, startMs: 150, endMs: 250 }));
+        const indexes = async (...args) => (await storage.getChunksInRange('a', ...args)).map(r => r.index);
+        assert.deepEqual(await indexes(150, 250), [1, 2]);
+        assert.deepEqual(await indexes(100, 200), [1]);
+        assert.deepEqual(await indexes(250), [2, 3]);
+        assert.deepEqual(await indexes(400, 500), []);
+        assert.deepEqual(await indexes(-50, 50), [0]);
+        const t1 = await storage.getChunksInRange('a', 0, 1000, { track: 1 });
+        assert.deepEqual(t1.map(r => [r.track, r.startMs, r.endMs]), [[1, 150, 250]]);
+        assert.equal(await text((await storage.getChunksInRange('a', 300, 301))[0].blob), 'a:3');
+      });
+
+      it('getChunksInRange includes chunks that start before 0 (pre-roll)', async () => {
+        await storage.putChunk(chunk('a', 0, { startMs: -300, endMs: -100 }));
+        await storage.putChunk(chunk('a', 1, { startMs: -100, endMs: 100 }));
+        assert.deepEqual((await storage.getChunksInRange('a', -200, 0)).map(r => r.index), [0, 1]);
+      });
+    });
+
+    /* -------- waveform overview -------- */
+    describe('overview', () => {
+      it('merges the peaks written with each chunk', async () => {
+        await storage.putChunk(chunk('a', 1, { peaks: peaksFor(0.5) }));
+        await storage.putChunk(chunk('a', 0, { peaks: peaksFor(0.25) }));
+        const o = await storage.getOverview('a');
+        assert.equal(o.startMs, 0);
+        assert.equal(o.endMs, 200);
+        assert.deepEqual(Array.from(o.max), [0.25, 0.25, 0.5, 0.5]);
+      });
+
+      it('honours track, range and bins', async () => {
+        await storage.putChunk(chunk('a', 0, { peaks: peaksFor(0.25) }));
+        await storage.putChunk(chunk('a', 1, { peaks: peaksFor(0.5) }));
+        await storage.putChunk(chunk('a', 0, { track: 1, peaks: peaksFor(1) }));
+        assert.deepEqual(Array.from((await storage.getOverview('a', { track: 1 })).max), [1, 1]);
+        assert.deepEqual(Array.from((await storage.getOverview('a', { fromMs: 100, toMs: 200 })).max), [0.5, 0.5]);
+        assert.equal((await storage.getOverview('a', { bins: 2 })).max.length, 2);
+      });
+
+      it('is null without peaks', async () => {
+        await storage.putChunk(chunk('a', 0));
+        assert.equal(await storage.getOverview('a'), null);
+        assert.equal(await storage.getOverview('nope'), null);
+      });
+    });
+
+    /* -------- deletion -------- */
+    describe('deletion', () => {
+      async function fill(id) {
+        await storage.putRecording(rec(id, 1));
+        await storage.setManifest(id, { v: 1 });
+        await storage.putChunk(chunk(id, 0, { peaks: peaksFor(0.5) }));
+        await storage.putChunk(chunk(id, 0, { track: 1, peaks: peaksFor(0.5) }));
+      }
+
+      it('deleteRecording removes everything of that recording only', async () => {
+        await fill('a'); await fill('b');
+        await storage.deleteRecording('a');
+        assert.equal(await storage.getRecording('a'), null);
+        assert.equal(await storage.getManifest('a'), null);
+        assert.equal(await storage.countChunks('a'), 0);
+        assert.equal(await storage.countChunks('a', { track: 1 }), 0);
+        assert.equal(await storage.getOverview('a'), null);
+        assert.equal(await storage.getOverview('a', { track: 1 }), null);
+
+        assert.ok(await storage.getRecording('b'));
+        assert.ok(await storage.getManifest('b'));
+        assert.equal(await storage.countChunks('b', { track: 1 }), 1);
+        assert.ok(await storage.getOverview('b'));
+      });
+
+      it('deleteRecording on an unknown id is a no-op', async () => {
+        await fill('a');
+        await storage.deleteRecording('nope');
+        assert.equal((await storage.listRecordings()).length, 1);
+      });
+
+      it('deleteChunks drops one track from an index on, with its peaks', async () => {
+        for (const i of [0, 1, 2]) await storage.putChunk(chunk('a', i, { peaks: peaksFor(0.5) }));
+        await storage.putChunk(chunk('a', 1, { track: 1 }));
+        await storage.deleteChunks('a', { fromIndex: 1 });
+        assert.deepEqual((await storage.getChunksWithTiming('a')).map(r => r.index), [0]);
+        assert.equal((await storage.getOverview('a')).endMs, 100);
+        assert.equal(await storage.countChunks('a', { track: 1 }), 1);
+        await storage.deleteChunks('nope', { fromIndex: 0 });
+      });
+
+      it('deleteAll empties the store', async () => {
+        await fill('a'); await fill('b');
+        await storage.deleteAll();
+        assert.deepEqual(await storage.listRecordings(), []);
+        assert.equal(await storage.getManifest('b'), null);
+        assert.equal(await storage.countChunks('b'), 0);
+        assert.equal(await storage.getOverview('b'), null);
+      });
+    });
+  });
+}
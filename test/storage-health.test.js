@@ -0,0 +1,109 @@
+// web/record-ver2.0/test/storage-health.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickExpired, applyRetention, recordingBytes, createQuotaGuard } from '../js/storage-health.js';
+import { createMemoryStorage } from '../js/adapters/storage-memory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = 100 * DAY;
+// createdAt = days ago
+const rec = (id, daysAgo, extra = {}) => ({ id, createdAt: now - daysAgo * DAY, status: 'ready', bytes: 10, ...extra });
+
+describe('pickExpired', () => {
+  const list = [rec('d1', 1), rec('d5', 5), rec('d3', 3), rec('d9', 9), rec('d7', 7)];
+
+  it('keepLast deletes all but the newest N, oldest first', () => {
+    assert.deepEqual(pickExpired(list, { keepLast: 2 }, { now }), ['d9', 'd7', 'd5']);
+  });
+
+  it('maxAgeDays deletes what is older', () => {
+    assert.deepEqual(pickExpired(list, { maxAgeDays: 4 }, { now }), ['d9', 'd7', 'd5']);
+  });
+
+  it('maxBytes deletes the oldest until the total fits', () => {
+    assert.deepEqual(pickExpired(list, { maxBytes: 30 }, { now }), ['d9', 'd7']);
+  });
+
+  it('rules combine', () => {
+    assert.deepEqual(pickExpired(list, { keepLast: 4, maxAgeDays: 8 }, { now }), ['d9']);
+    assert.deepEqual(pickExpired(list, { keepLast: 4, maxBytes: 20 }, { now }), ['d9', 'd7', 'd5']);
+  });
+
+  it('never picks starred, live, recovered or protected recordings', () => {
+    const mixed = [rec('new', 1), rec('star', 9, { starred: true }), rec('live', 8, { status: 'recording' }),
+      rec('rec', 7, { status: 'recovered' }), rec('mine', 6), rec('old', 5)];
+    assert.deepEqual(pickExpired(mixed, { keepLast: 1 }, { now, protect: ['mine'] }), ['old']);
+    assert.deepEqual(pickExpired(mixed, { maxAgeDays: 2 }, { now, protect: ['mine'] }), ['old']);
+    // protected rows still count towards the cap
+    assert.deepEqual(pickExpired(mixed, { maxBytes: 45 }, { now, protect: ['mine'] }), ['old', 'new']);
+  });
+
+  it('expires a rolled-over session whole, by its newest part', () => {
+    const session = [
+      rec('s1', 12, { sessionId: 's1', part: 1 }),
+      rec('s2', 8, { sessionId: 's1', part: 2, previousId: 's1' }),
+      rec('s3', 2, { part: 3, previousId: 's2' }) // no sessionId: found through the chain
+    ];
+    const all = [...session, rec('d5', 5), rec('d1', 1)];
+    assert.deepEqual(pickExpired(all, { maxAgeDays: 4 }, { now }), ['d5']);
+    assert.deepEqual(pickExpired(all, { maxAgeDays: 1.5 }, { now }), ['d5', 's1', 's2', 's3']);
+    assert.deepEqual(pickExpired(all, { keepLast: 2 }, { now }), ['d5']);
+    assert.deepEqual(pickExpired(all, { maxBytes: 40 }, { now }), ['d5']);
+    assert.deepEqual(pickExpired(all, { maxBytes: 20 }, { now }), ['d5', 's1', 's2', 's3']);
+    // one starred part keeps the whole session
+    const starred = all.map(r => r.id === 's1' ? { ...r, starred: true } : r);
+    assert.deepEqual(pickExpired(starred, { maxAgeDays: 1.5 }, { now }), ['d5']);
+  });
+
+  it('no rules, nothing expires', () => {
+    assert.deepEqual(pickExpired(list, {}, { now }), []);
+  });
+});
+
+describe('applyRetention', () => {
+  it('deletes the expired recordings from storage, sizing unsized rows by their chunks', async () => {
+    const storage = createMemoryStorage();
+    await storage.putRecording({ id: 'old', createdAt: 1, status: 'ready' });
+    await storage.putRecording({ id: 'new', createdAt: 2, status: 'ready' });
+    for (const id of ['old', 'new']) {
+      for (const index of [0, 1]) await storage.putChunk({ recordingId: id, index, blob: new Blob(['x']), size: 100, startMs: 0, endMs: 1 });
+    }
+    assert.equal(await recordingBytes(storage, { id: 'old' }), 200);
+    assert.deepEqual(await applyRetention(storage, { maxBytes: 300 }), ['old']);
+    assert.deepEqual((await storage.listRecordings()).map(r => r.id), ['new']);
+    assert.equal(await storage.countChunks('old'), 0);
+  });
+});
+
+describe('createQuotaGuard', () => {
+  const health = (available) => ({ supported: true, usage: 0, quota: available, available });
+
+  it('warns once, then stops once, as free space shrinks', async () => {
+    let available = 500;
+    const calls = [];
+    const guard = createQuotaGuard({
+      warnBytes: 200, stopBytes: 50, intervalMs: 60000,
+      estimate: async () => health(available),
+      onWarn: (h) => calls.push(['warn', h.available]),
+      onStop: (h) => calls.push(['stop', h.available])
+    });
+    guard.start();
+    await guard.check();
+    available = 150; await guard.check(); await guard.check();
+    available = 40; await guard.check(); await guard.check();
+    guard.stop();
+    assert.deepEqual(calls, [['warn', 150], ['stop', 40]]);
+  });
+
+  it('is silent when stopped, disabled or unsupported', async () => {
+    const calls = [];
+    const cb = { onWarn: () => calls.push('warn'), onStop: () => calls.push('stop') };
+    const idle = createQuotaGuard({ ...cb, estimate: async () => health(0) });
+    await idle.check();
+    const off = createQuotaGuard({ ...cb, warnBytes: null, stopBytes: null, estimate: async () => health(0) });
+    off.start(); await off.check(); off.stop();
+    const unsupported = createQuotaGuard({ ...cb, estimate: async () => ({ supported: false }) });
+    unsupported.start(); await unsupported.check(); unsupported.stop();
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,10 @@
+// web/record-ver2.0/test/storage-indexeddb.test.js
+// Runs the contract against the real adapter on fake-indexeddb (a devDependency;
+// `npm install` first).
+import 'fake-indexeddb/auto';
+import { storageConformance } from './storage-conformance.js';
+import { createIndexedDbStorage } from '../js/adapters/storage-indexeddb.js';
+
+let n = 0;
+// a new database per test, so every test starts empty
+storageConformance('indexeddb', () => createIndexedDbStorage({ dbName: `conformance-${++n}` }));
@@ -0,0 +1,5 @@
+// web/record-ver2.0/test/storage-memory.test.js
+import { createMemoryStorage } from '../js/adapters/storage-memory.js';
+import { storageConformance } from './storage-conformance.js';
+
+storageConformance('memory', () => createMemoryStorage());
@@ -0,0 +1,112 @@
+// web/record-ver2.0/test/storage-opfs.test.js
+// The OPFS adapter with its store in-process on an in-memory directory
+// (the browser runs the same store in opfs.worker.js).
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpfsStorage } from '../js/adapters/storage-opfs.js';
+import { createOpfsStore } from '../js/adapters/opfs-store.js';
+import { storageConformance } from './storage-conformance.js';
+import { createFakeDirectory } from './fake-opfs.js';
+
+storageConformance('opfs', () => createOpfsStorage({ store: createOpfsStore(createFakeDirectory()) }));
+
+describe('opfs layout', () => {
+  it('appends a track into one file and reads it back after a reopen', async () => {
+    const root = createFakeDirectory();
+    const store = createOpfsStore(root);
+    const storage = await createOpfsStorage({ store });
+    await storage.putRecording({ id: 'a', createdAt: 1, status: 'ready' });
+    for (const index of [0, 1, 2]) {
+      await storage.putChunk({ recordingId: 'a', index, blob: new Blob([`chunk${index}`], { type: 'audio/webm' }), size: 6, startMs: index * 10, endMs: index * 10 + 10 });
+    }
+    await storage.putChunk({ recordingId: 'a', index: 1, blob: new Blob(['again!']), size: 6, startMs: 10, endMs: 20 });
+
+    const dir = await root.getDirectoryHandle('a');
+    const names = [];
+    for await (const [name] of dir.entries()) names.push(name);
+    assert.deepEqual(names.sort(), ['0.bin', '0.idx', 'meta.json']);
+
+    // a fresh store over the same files (a new page load) sees the same data
+    await store.close();
+    const reopened = await createOpfsStorage({ store: createOpfsStore(root) });
+    assert.deepEqual((await reopened.listRecordings()).map(r => r.id), ['a']);
+    const rows = await reopened.getChunksWithTiming('a');
+    assert.deepEqual(await Promise.all(rows.map(r => r.blob.text())), ['chunk0', 'again!', 'chunk2']);
+    assert.equal(rows[0].blob.type, 'audio/webm');
+  });
+
+  it('drops a half-written last index line and truncates it away', async () => {
+    const root = createFakeDirectory();
+    const store = createOpfsStore(root);
+    const storage = await createOpfsStorage({ store });
+    await storage.putRecording({ id: 'a', createdAt: Date.now(), status: 'recording' });
+    for (const index of [0, 1]) {
+      await storage.putChunk({ recordingId: 'a', index, blob: new Blob([`chunk${index}`]), size: 6, startMs: index * 10, endMs: index * 10 + 10 });
+    }
+    await store.close();
+
+    // a crash in the middle of the next append
+    const idx = await (await root.getDirectoryHandle('a')).getFileHandle('0.idx');
+    const h = await idx.createSyncAccessHandle();
+    const goodSize = h.getSize();
+    h.write(new TextEncoder().encode('{"index":2,"offset":12,"len'), { at: goodSize });
+    h.close();
+
+    const second = createOpfsStore(root);
+    const reopened = await createOpfsStorage({ store: second });
+    const rows = await reopened.getChunksWithTiming('a');
+    assert.deepEqual(await Promise.all(rows.map(r => r.blob.text())), ['chunk0', 'chunk1']);
+    // the next append truncates the partial line first, so its own line survives a reopen
+    await reopened.putChunk({ recordingId: 'a', index: 2, blob: new Blob(['chunk2']), size: 6, startMs: 20, endMs: 30 });
+    await second.close();
+    assert.equal((await (await idx.getFile()).text()).split('\n').filter(Boolean).length, 3);
+    const third = await createOpfsStorage({ store: createOpfsStore(root) });
+    assert.equal(await third.countChunks('a'), 3);
+    const { recoverOrphanedRecordings, STALE_MS } = await import('../js/recovery.js');
+    // no Web Locks here: a row touched just now may still be recording in another tab
+    assert.deepEqual(await recoverOrphanedRecordings(third), []);
+    const later = { now: Date.now() + STALE_MS };
+    assert.deepEqual((await recoverOrphanedRecordings(third, later)).map(r => [r.id, r.durationMs]), [['a', 30]]);
+    assert.equal(root.locked(), false);
+  });
+
+  it('releases the file locks once a recording is finalized or deleted', async () => {
+    const root = createFakeDirectory();
+    const storage = await createOpfsStorage({ store: createOpfsStore(root) });
+    await storage.putRecording({ id: 'a', createdAt: 1, status: 'recording' });
+    await storage.putRecording({ id: 'b', createdAt: 2, status: 'recording' });
+    for (const id of ['a', 'b']) {
+      await storage.putChunk({ recordingId: id, index: 0, blob: new Blob(['chunk0']), size: 6, startMs: 0, endMs: 10 });
+    }
+    const dirA = await root.getDirectoryHandle('a');
+    assert.equal(dirA.locked(), true);
+
+    await storage.markStatus('a', 'ready');
+    assert.equal(dirA.locked(), false);
+    // another tab (or the main thread) can now open the files
+    const h = await (await dirA.getFileHandle('0.bin')).createSyncAccessHandle();
+    h.close();
+    assert.equal(await (await storage.getChunksArray('a'))[0].text(), 'chunk0');
+    assert.equal(dirA.locked(), false);
+
+    // a repair writes through the handles and lets go again
+    await storage.putChunk({ recordingId: 'a', index: 1, blob: new Blob(['chunk1']), size: 6, startMs: 10, endMs: 20 });
+    assert.equal(dirA.locked(), false);
+    assert.equal(await storage.countChunks('a'), 2);
+
+    await storage.deleteRecording('b');
+    assert.equal(root.locked(), false);
+  });
+
+  it('keeps working past the open-handle limit', async () => {
+    const storage = await createOpfsStorage({ store: createOpfsStore(createFakeDirectory()) });
+    for (let track = 0; track < 12; track++) {
+      await storage.putChunk({ recordingId: 'multi', track, index: 0, blob: new Blob([`t${track}`]), size: 2, startMs: 0, endMs: 10 });
+    }
+    for (let track = 0; track < 12; track++) {
+      assert.equal(await (await storage.getChunksArray('multi', { track }))[0].text(), `t${track}`);
+    }
+    await storage.deleteRecording('multi');
+    assert.equal(await storage.countChunks('multi', { track: 11 }), 0);
+  });
+});